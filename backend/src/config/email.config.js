@@ -14,6 +14,10 @@ module.exports = {
     submission: {
       subject: 'વિહાર રક્ષા તપ - Form Submission Confirmation',
       gujaratiSubject: 'વિહાર રક્ષા તપ - ફોર્મ સબમિશન કન્ફર્મેશન'
+    },
+    waitlistPromotion: {
+      subject: 'વિહાર રક્ષા તપ - Booking Confirmed from Waitlist',
+      gujaratiSubject: 'વિહાર રક્ષા તપ - પ્રતીક્ષા યાદીમાંથી બુકિંગ કન્ફર્મ'
     }
   }
 };
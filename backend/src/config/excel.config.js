@@ -3,6 +3,8 @@ const path = require('path');
 module.exports = {
   // File paths
   excelFilePath: path.join(__dirname, '../../data/submissions.xlsx'),
+  // Sessions, login attempts, holds and the audit trail (Excel storage only)
+  activityFilePath: path.join(__dirname, '../../data/activity.xlsx'),
   backupDir: path.join(__dirname, '../../data/backups'),
   exportDir: path.join(__dirname, '../../data/exports'),
   archiveDir: path.join(__dirname, '../../data/archives'),
@@ -30,19 +32,220 @@ module.exports = {
   backupInterval: process.env.BACKUP_INTERVAL || 'daily',
 
   // Booking settings
-  maxBookingsPerDay: 3,
+  // Booking days are calendar days in this time zone
+  eventTimeZone: process.env.EVENT_TIMEZONE || 'Asia/Kolkata',
+  maxBookingsPerDay: parseInt(process.env.MAX_BOOKINGS_PER_DAY) || 3,
+
+  // Booking window (all days are calendar days in eventTimeZone)
+  // - sameDayCutoffHour: same-day bookings close at this hour (0-23), null to allow all day
+  // - maxAdvanceDays: furthest a date may be booked ahead of today, null for no limit
+  // - disabledWeekdays: weekdays that cannot be booked (0 = Sunday ... 6 = Saturday)
+  bookingPolicy: {
+    sameDayCutoffHour: process.env.SAME_DAY_CUTOFF_HOUR ? parseInt(process.env.SAME_DAY_CUTOFF_HOUR) : null,
+    maxAdvanceDays: process.env.MAX_ADVANCE_DAYS ? parseInt(process.env.MAX_ADVANCE_DAYS) : null,
+    disabledWeekdays: (process.env.DISABLED_WEEKDAYS || '')
+      .split(',')
+      .filter(day => day.trim() !== '')
+      .map(day => parseInt(day))
+  },
+
+  // Most days one submission may book (multi-day bookings)
+  maxDaysPerSubmission: parseInt(process.env.MAX_DAYS_PER_SUBMISSION) || 31,
+
+  // Most submissions one bulk status, reschedule or delete request may change
+  maxBulkItems: parseInt(process.env.MAX_BULK_ITEMS) || 500,
+
+  // Submission imports (XLSX/CSV upload): largest file and most rows accepted
+  importMaxFileSizeMB: parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB) || 5,
+  importMaxRows: parseInt(process.env.IMPORT_MAX_ROWS) || 1000,
+
+  // Days files in the exports directory are kept (0 = until deleted by hand)
+  exportRetentionDays: process.env.EXPORT_RETENTION_DAYS ? parseInt(process.env.EXPORT_RETENTION_DAYS) : 7,
+
+  // Admin sessions
+  // Access tokens are short-lived; refresh tokens rotate on every use
+  accessTokenMinutes: parseInt(process.env.ACCESS_TOKEN_MINUTES) || 15,
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 7,
+
+  // Admin two-factor login (TOTP)
+  // - issuer: name shown in authenticator apps
+  // - challengeMinutes: time allowed to enter the code after the password
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'Vihar Raksha Tap',
+    // Key for encrypting stored secrets; required for two-factor login and kept apart from JWT_SECRET
+    encryptionKey: process.env.TOTP_ENCRYPTION_KEY || null,
+    challengeMinutes: 5,
+    backupCodeCount: 10
+  },
+
+  // Failed admin login protection, tracked per username and per IP
+  // - freeAttempts: failures allowed before any delay
+  // - after that each failure doubles the wait, starting at baseDelaySeconds up to maxDelaySeconds
+  // - lockoutAttempts / ipLockoutAttempts failures within windowMinutes lock for lockoutMinutes
+  loginProtection: {
+    freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+    baseDelaySeconds: 2,
+    maxDelaySeconds: 300,
+    lockoutAttempts: parseInt(process.env.LOGIN_LOCKOUT_ATTEMPTS) || 10,
+    ipLockoutAttempts: parseInt(process.env.LOGIN_IP_LOCKOUT_ATTEMPTS) || 30,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30,
+    windowMinutes: 60
+  },
+
+  // Seat holds while the form is being filled
+  holdMinutes: parseInt(process.env.HOLD_MINUTES) || 10,
+  maxHoldsPerIp: parseInt(process.env.MAX_HOLDS_PER_IP) || 5,
+  // Holds one IP may take in 24 hours, so seats cannot be kept by renewing holds
+  maxHoldsPerIpPerDay: parseInt(process.env.MAX_HOLDS_PER_IP_PER_DAY) || 20,
+
+  // Deleted submissions stay in the trash this many days before they are purged (0 keeps them)
+  trashRetentionDays: process.env.TRASH_RETENTION_DAYS ? parseInt(process.env.TRASH_RETENTION_DAYS) : 30,
+
+  // Audit entries older than this many days are removed (0 keeps them)
+  auditRetentionDays: process.env.AUDIT_RETENTION_DAYS ? parseInt(process.env.AUDIT_RETENTION_DAYS) : 365,
+
+  // Duplicate booking policy
+  // mode: 'reject' (refuse), 'flag' (save with a review flag) or 'allow'
+  // A booking is a duplicate if the same number already booked the same date,
+  // or already holds maxBookingsPerWindow bookings within windowDays of it
+  duplicatePolicy: {
+    mode: process.env.DUPLICATE_POLICY || 'flag',
+    matchFields: ['whatsappNumber', 'upiNumber'],
+    windowDays: parseInt(process.env.DUPLICATE_WINDOW_DAYS) || 7,
+    maxBookingsPerWindow: parseInt(process.env.DUPLICATE_MAX_PER_WINDOW) || 2
+  },
 
   // Column configuration (Gujarati headers)
   columns: [
     { header: 'ID', key: 'id', width: 25 },
-    { header: 'સબમિશન તારીખ (Submission Date)', key: 'submissionDate', width: 20 },
-    { header: 'બુકિંગ તારીખ (Booking Date)', key: 'bookingDate', width: 20 },
+    { header: 'સબમિશન તારીખ (Submission Date)', key: 'submissionDate', width: 20, type: 'date' },
+    { header: 'બુકિંગ તારીખ (Booking Date)', key: 'bookingDate', width: 20, type: 'date' },
     { header: 'નામ (Name)', key: 'name', width: 30 },
     { header: 'UPI નંબર (UPI Number)', key: 'upiNumber', width: 15 },
     { header: 'WhatsApp નંબર (WhatsApp Number)', key: 'whatsappNumber', width: 15 },
     { header: 'આયંબિલ શાળા નામ (Ayambil Shala Name)', key: 'ayambilShalaName', width: 40 },
     { header: 'શહેર (City)', key: 'city', width: 20 },
     { header: 'સ્થિતિ (Status)', key: 'status', width: 15 },
+    { header: 'IP Address', key: 'ipAddress', width: 20 },
+    { header: 'Shala ID', key: 'shalaId', width: 25 },
+    { header: 'ઈમેલ (Email)', key: 'email', width: 30 },
+    { header: 'સમીક્ષા (Review Flag)', key: 'reviewFlag', width: 40 },
+    { header: 'મુખ્ય ID (Parent ID)', key: 'parentId', width: 30 },
+    { header: 'Event ID', key: 'eventId', width: 25 },
+    { header: 'કાઢી નાખ્યું (Deleted At)', key: 'deletedAt', width: 20, type: 'date' },
+    { header: 'Deleted By', key: 'deletedBy', width: 25 },
+    { header: 'Version', key: 'version', width: 10, type: 'number' }
+  ],
+
+  // Calendar sheet: per-date capacity overrides and blackout dates
+  calendarColumns: [
+    { header: 'તારીખ (Date)', key: 'id', width: 15 },
+    { header: 'ક્ષમતા (Capacity)', key: 'capacity', width: 15, type: 'number' },
+    { header: 'બંધ (Blackout)', key: 'blackout', width: 12, type: 'boolean' },
+    { header: 'નોંધ (Note)', key: 'note', width: 40 },
+    { header: 'Updated At', key: 'updatedAt', width: 20, type: 'date' },
+    { header: 'Updated By', key: 'updatedBy', width: 20 }
+  ],
+
+  // Shalas sheet: Ayambil Shala master list with per-shala daily capacity
+  shalaColumns: [
+    { header: 'ID', key: 'id', width: 25 },
+    { header: 'શાળા નામ (Shala Name)', key: 'name', width: 40 },
+    { header: 'શહેર (City)', key: 'city', width: 20 },
+    { header: 'દૈનિક ક્ષમતા (Daily Capacity)', key: 'maxBookingsPerDay', width: 15, type: 'number' },
+    { header: 'સક્રિય (Active)', key: 'active', width: 10, type: 'boolean' },
+    { header: 'Created At', key: 'createdAt', width: 20, type: 'date' }
+  ],
+
+  // Events sheet: tap events and seasons (e.g. Chaturmas, Oli) with their own booking windows
+  eventColumns: [
+    { header: 'ID', key: 'id', width: 25 },
+    { header: 'નામ (Name)', key: 'name', width: 40 },
+    { header: 'શરૂઆત (Start Date)', key: 'startDate', width: 15, type: 'date' },
+    { header: 'અંત (End Date)', key: 'endDate', width: 15, type: 'date' },
+    { header: 'દૈનિક ક્ષમતા (Daily Capacity)', key: 'maxBookingsPerDay', width: 15, type: 'number' },
+    { header: 'સક્રિય (Active)', key: 'active', width: 10, type: 'boolean' },
+    { header: 'Created At', key: 'createdAt', width: 20, type: 'date' }
+  ],
+
+  // Admin Users sheet: accounts that can sign in to the admin panel
+  adminUserColumns: [
+    { header: 'ID', key: 'id', width: 25 },
+    { header: 'Username', key: 'username', width: 20 },
+    { header: 'Password Hash', key: 'passwordHash', width: 65 },
+    { header: 'Role', key: 'role', width: 15 },
+    { header: 'Active', key: 'active', width: 10, type: 'boolean' },
+    { header: 'Created At', key: 'createdAt', width: 20, type: 'date' },
+    { header: 'Last Login At', key: 'lastLoginAt', width: 20, type: 'date' },
+    { header: '2FA Enabled', key: 'totpEnabled', width: 12, type: 'boolean' },
+    { header: '2FA Secret', key: 'totpSecret', width: 40 },
+    { header: '2FA Last Step', key: 'totpLastStep', width: 15, type: 'number' },
+    { header: 'Backup Codes', key: 'backupCodes', width: 65, type: 'json' }
+  ],
+
+  // Refresh Tokens sheet: only a hash of each token is stored
+  // Tokens rotated from the same login share a familyId
+  refreshTokenColumns: [
+    { header: 'ID', key: 'id', width: 30 },
+    { header: 'User ID', key: 'userId', width: 30 },
+    { header: 'Family ID', key: 'familyId', width: 30 },
+    { header: 'Token Hash', key: 'tokenHash', width: 65 },
+    { header: 'Expires At', key: 'expiresAt', width: 20, type: 'date' },
+    { header: 'Created At', key: 'createdAt', width: 20, type: 'date' },
+    { header: 'Revoked At', key: 'revokedAt', width: 20, type: 'date' },
+    { header: 'Replaced By', key: 'replacedBy', width: 30 }
+  ],
+
+  // Revoked Tokens sheet: access tokens revoked before they expire
+  // A row without a token ID revokes every token of the user issued before revokedAt
+  revokedTokenColumns: [
+    { header: 'ID', key: 'id', width: 30 },
+    { header: 'Token ID', key: 'jti', width: 40 },
+    { header: 'User ID', key: 'userId', width: 30 },
+    { header: 'Revoked At', key: 'revokedAt', width: 20, type: 'date' },
+    { header: 'Expires At', key: 'expiresAt', width: 20, type: 'date' }
+  ],
+
+  // Login Attempts sheet: failed admin logins per username ("user:...") and per IP ("ip:...")
+  loginAttemptColumns: [
+    { header: 'Key', key: 'id', width: 40 },
+    { header: 'Failures', key: 'failures', width: 10, type: 'number' },
+    { header: 'Last Failure At', key: 'lastFailureAt', width: 20, type: 'date' },
+    { header: 'Blocked Until', key: 'blockedUntil', width: 20, type: 'date' },
+    { header: 'Locked Until', key: 'lockedUntil', width: 20, type: 'date' }
+  ],
+
+  // Holds sheet: seats reserved while a form is being filled
+  holdColumns: [
+    { header: 'Token', key: 'id', width: 30 },
+    { header: 'બુકિંગ તારીખ (Booking Date)', key: 'bookingDate', width: 15, type: 'date' },
+    { header: 'Shala ID', key: 'shalaId', width: 25 },
+    { header: 'Expires At', key: 'expiresAt', width: 20, type: 'date' },
+    { header: 'Created At', key: 'createdAt', width: 20, type: 'date' },
+    { header: 'IP Address', key: 'ipAddress', width: 15 },
+    { header: 'Released At', key: 'releasedAt', width: 20, type: 'date' }
+  ],
+
+  // Audit Log sheet: append-only trail of changes to submissions
+  auditColumns: [
+    { header: 'ID', key: 'id', width: 25 },
+    { header: 'Timestamp', key: 'timestamp', width: 22, type: 'date' },
+    { header: 'Actor', key: 'actor', width: 25 },
+    { header: 'Action', key: 'action', width: 20 },
+    { header: 'Target ID', key: 'targetId', width: 25 },
+    { header: 'Before', key: 'before', width: 50, type: 'json' },
+    { header: 'After', key: 'after', width: 50, type: 'json' },
     { header: 'IP Address', key: 'ipAddress', width: 20 }
+  ],
+
+  // Submission Versions sheet: a snapshot of each submission after every change
+  submissionVersionColumns: [
+    { header: 'ID', key: 'id', width: 25 },
+    { header: 'Submission ID', key: 'submissionId', width: 25 },
+    { header: 'Version', key: 'version', width: 10, type: 'number' },
+    { header: 'Changed At', key: 'changedAt', width: 22, type: 'date' },
+    { header: 'Changed By', key: 'changedBy', width: 25 },
+    { header: 'Action', key: 'action', width: 20 },
+    { header: 'Data', key: 'data', width: 60, type: 'json' }
   ]
 };
@@ -0,0 +1,44 @@
+/**
+ * Admin roles and what each may do
+ * Each role includes every permission of the roles before it
+ */
+
+const VIEWER = [
+  'submissions:read',
+  'settings:read',
+  'system:read'
+];
+
+const COORDINATOR = [
+  ...VIEWER,
+  'submissions:update',
+  'submissions:export',
+  'submissions:import'
+];
+
+const EDITOR = [
+  ...COORDINATOR,
+  'settings:write',
+  'backups:create',
+  'archive:run'
+];
+
+const SUPERADMIN = [
+  ...EDITOR,
+  'submissions:delete',
+  'backups:restore',
+  'users:manage',
+  'audit:read'
+];
+
+module.exports = {
+  // Roles from least to most privileged
+  roles: ['viewer', 'coordinator', 'editor', 'superadmin'],
+
+  permissions: {
+    viewer: VIEWER,
+    coordinator: COORDINATOR,
+    editor: EDITOR,
+    superadmin: SUPERADMIN
+  }
+};
@@ -0,0 +1,77 @@
+const path = require('path');
+const excelConfig = require('./excel.config');
+
+module.exports = {
+  // Storage backend: 'excel' (default) or 'sqlite'
+  backend: process.env.STORAGE_BACKEND || 'excel',
+
+  // SQLite database file (used when backend is 'sqlite')
+  sqliteFilePath: process.env.SQLITE_FILE_PATH || path.join(__dirname, '../../data/submissions.sqlite'),
+
+  // Collections stored by the active backend
+  // Excel keeps each collection in its own sheet, SQLite in its own table.
+  // file: 'activity' puts a frequently written collection in the Excel activity
+  // workbook instead of the bookings workbook.
+  collections: {
+    submissions: {
+      sheet: 'Submissions',
+      table: 'submissions',
+      columns: excelConfig.columns
+    },
+    calendar: {
+      sheet: 'Calendar',
+      table: 'calendar',
+      columns: excelConfig.calendarColumns
+    },
+    shalas: {
+      sheet: 'Shalas',
+      table: 'shalas',
+      columns: excelConfig.shalaColumns
+    },
+    events: {
+      sheet: 'Events',
+      table: 'events',
+      columns: excelConfig.eventColumns
+    },
+    adminUsers: {
+      sheet: 'Admin Users',
+      table: 'admin_users',
+      columns: excelConfig.adminUserColumns
+    },
+    refreshTokens: {
+      sheet: 'Refresh Tokens',
+      table: 'refresh_tokens',
+      columns: excelConfig.refreshTokenColumns,
+      file: 'activity'
+    },
+    revokedTokens: {
+      sheet: 'Revoked Tokens',
+      table: 'revoked_tokens',
+      columns: excelConfig.revokedTokenColumns,
+      file: 'activity'
+    },
+    loginAttempts: {
+      sheet: 'Login Attempts',
+      table: 'login_attempts',
+      columns: excelConfig.loginAttemptColumns,
+      file: 'activity'
+    },
+    holds: {
+      sheet: 'Holds',
+      table: 'holds',
+      columns: excelConfig.holdColumns,
+      file: 'activity'
+    },
+    auditLog: {
+      sheet: 'Audit Log',
+      table: 'audit_log',
+      columns: excelConfig.auditColumns,
+      file: 'activity'
+    },
+    submissionVersions: {
+      sheet: 'Submission Versions',
+      table: 'submission_versions',
+      columns: excelConfig.submissionVersionColumns
+    }
+  }
+};
@@ -1,9 +1,58 @@
-const { authenticateAdmin, generateToken } = require('../middleware/auth.middleware');
+const path = require('path');
+const { generateToken, generateChallengeToken, verifyChallengeToken } = require('../middleware/auth.middleware');
 const monitorService = require('../services/monitor.service');
 const backupService = require('../services/backup.service');
+const calendarService = require('../services/calendar.service');
+const shalaService = require('../services/shala.service');
+const eventService = require('../services/event.service');
+const userService = require('../services/user.service');
+const tokenService = require('../services/token.service');
+const loginAttemptService = require('../services/loginAttempt.service');
+const excelConfig = require('../config/excel.config');
+const auditService = require('../services/audit.service');
+const { getClientIp, getAuditContext, paginate } = require('../utils/helpers');
+
+/**
+ * Respond to a login blocked by failed-attempt protection
+ */
+const sendTooManyAttempts = (res, check) => {
+  res.set('Retry-After', String(check.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: check.locked
+      ? `Too many failed login attempts. Try again in ${Math.ceil(check.retryAfter / 60)} minute(s)`
+      : `Too many failed login attempts. Try again in ${check.retryAfter} second(s)`,
+    retryAfter: check.retryAfter
+  });
+};
+
+/**
+ * Issue access and refresh tokens for a signed-in user
+ */
+const createSession = async (user) => {
+  const token = generateToken({
+    sub: user.id,
+    username: user.username,
+    role: user.role
+  });
+  const refreshToken = await tokenService.createRefreshToken(user.id);
+
+  return {
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn: excelConfig.accessTokenMinutes * 60,
+    user: {
+      ...user,
+      permissions: userService.getPermissions(user.role)
+    }
+  };
+};
 
 /**
  * Admin login
+ * Accounts with two-factor login get a challenge token for /login/verify instead of a session
  */
 const login = async (req, res) => {
   try {
@@ -16,31 +65,192 @@ const login = async (req, res) => {
       });
     }
 
-    const authResult = await authenticateAdmin(username, password);
+    const ipAddress = getClientIp(req);
+    const attempt = await loginAttemptService.startAttempt(username, ipAddress);
+
+    if (!attempt.allowed) {
+      return sendTooManyAttempts(res, attempt);
+    }
+
+    const authResult = await userService.authenticate(username, password);
 
     if (!authResult.success) {
+      loginAttemptService.recordFailure(attempt, username, ipAddress, await userService.userExists(username));
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    if (authResult.user.totpEnabled) {
+      // The password was right; failures of the code step are counted separately
+      await loginAttemptService.releaseAttempt(username, ipAddress);
+
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(authResult.user.id),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    await loginAttemptService.recordSuccess(username, ipAddress);
+
+    res.json(await createSession(authResult.user));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Complete a two-factor login with an authenticator or backup code
+ */
+const verifyLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const challenge = verifyChallengeToken(challengeToken);
+    const user = challenge ? await userService.getUserById(challenge.sub) : null;
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or expired. Please sign in again'
+      });
+    }
+
+    const ipAddress = getClientIp(req);
+    const attempt = await loginAttemptService.startAttempt(user.username, ipAddress);
+
+    if (!attempt.allowed) {
+      return sendTooManyAttempts(res, attempt);
+    }
+
+    if (!(await userService.verifySecondFactor(user.id, code))) {
+      loginAttemptService.recordFailure(attempt, user.username, ipAddress, true);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await loginAttemptService.recordSuccess(user.username, ipAddress);
+    await userService.recordLogin(user.id);
+
+    res.json(await createSession(await userService.getUserById(user.id)));
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+
+    if (error.message === 'Two-factor secret cannot be read') {
+      return res.status(503).json({
+        success: false,
+        message: 'Two-factor login is unavailable. Ask a superadmin to reset it'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ */
+const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const rotated = await tokenService.rotateRefreshToken(refreshToken);
+    const user = await userService.getUserById(rotated.userId);
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
     const token = generateToken({
-      username: authResult.user.username,
-      role: authResult.user.role
+      sub: user.id,
+      username: user.username,
+      role: user.role
     });
 
     res.json({
       success: true,
-      message: 'Login successful',
       token,
-      user: authResult.user
+      refreshToken: rotated.refreshToken,
+      expiresIn: excelConfig.accessTokenMinutes * 60
     });
   } catch (error) {
-    console.error('Login error:', error);
+    if (error.message === 'Invalid refresh token') {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh session error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed',
+      message: 'Failed to refresh session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Sign out the current session
+ */
+const logout = async (req, res) => {
+  try {
+    await tokenService.logout(req.user, req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Sign out every session of the current user
+ */
+const logoutAll = async (req, res) => {
+  try {
+    await tokenService.logoutAll(req.user.sub);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all sessions'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -101,6 +311,12 @@ const createBackup = async (req, res) => {
   try {
     const backupPath = await backupService.createBackup();
 
+    await auditService.log({
+      ...getAuditContext(req),
+      action: 'backup.create',
+      after: { backupFile: backupPath ? path.basename(backupPath) : null }
+    });
+
     res.json({
       success: true,
       message: 'Backup created successfully',
@@ -130,7 +346,7 @@ const restoreBackup = async (req, res) => {
       });
     }
 
-    const result = await backupService.restoreFromBackup(backupFileName);
+    const result = await backupService.restoreFromBackup(backupFileName, getAuditContext(req));
 
     res.json(result);
   } catch (error) {
@@ -150,7 +366,7 @@ const archiveRecords = async (req, res) => {
   try {
     const { monthsOld = 6 } = req.body;
 
-    const result = await monitorService.archiveOldRecords(parseInt(monthsOld));
+    const result = await monitorService.archiveOldRecords(parseInt(monthsOld), getAuditContext(req));
 
     res.json(result);
   } catch (error) {
@@ -163,11 +379,751 @@ const archiveRecords = async (req, res) => {
   }
 };
 
+/**
+ * Query the audit trail
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, actor, action, targetId, from, to } = req.query;
+
+    const entries = await auditService.query({ actor, action, targetId, from, to });
+    const paginatedResult = paginate(entries, parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      ...paginatedResult
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+
+    if (error.message === 'Invalid audit date filter') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get calendar overrides
+ */
+const getCalendar = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const overrides = await calendarService.getOverrides(startDate, endDate);
+
+    res.json({
+      success: true,
+      data: overrides,
+      count: overrides.length
+    });
+  } catch (error) {
+    console.error('Get calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create or update the override for a date
+ */
+const setCalendarDate = async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const override = await calendarService.setOverride(date, req.body, req.user?.username, getAuditContext(req));
+
+    res.json({
+      success: true,
+      message: 'Calendar updated successfully',
+      data: override
+    });
+  } catch (error) {
+    console.error('Set calendar date error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove the override for a date
+ */
+const deleteCalendarDate = async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await calendarService.deleteOverride(date, getAuditContext(req));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Delete calendar date error:', error);
+
+    if (error.message === 'Calendar entry not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete calendar entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get all shalas (including inactive)
+ */
+const getShalas = async (req, res) => {
+  try {
+    const shalas = await shalaService.listShalas();
+
+    res.json({
+      success: true,
+      data: shalas,
+      count: shalas.length
+    });
+  } catch (error) {
+    console.error('Get shalas error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shalas',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add a shala to the master list
+ */
+const createShala = async (req, res) => {
+  try {
+    // Create backup before write
+    await backupService.createBackup();
+
+    const shala = await shalaService.createShala(req.body, getAuditContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Shala created successfully',
+      data: shala
+    });
+  } catch (error) {
+    console.error('Create shala error:', error);
+
+    if (error.message === 'A shala with this name already exists') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create shala',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a shala
+ */
+const updateShala = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const shala = await shalaService.updateShala(id, req.body, getAuditContext(req));
+
+    res.json({
+      success: true,
+      message: 'Shala updated successfully',
+      data: shala
+    });
+  } catch (error) {
+    console.error('Update shala error:', error);
+
+    if (error.message === 'Shala not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'A shala with this name already exists') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shala',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove a shala from the master list
+ */
+const deleteShala = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await shalaService.deleteShala(id, getAuditContext(req));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Delete shala error:', error);
+
+    if (error.message === 'Shala not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete shala',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List tap events
+ */
+const getEvents = async (req, res) => {
+  try {
+    const events = await eventService.listEvents();
+
+    res.json({
+      success: true,
+      data: events,
+      count: events.length
+    });
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create a tap event
+ */
+const createEvent = async (req, res) => {
+  try {
+    // Create backup before write
+    await backupService.createBackup();
+
+    const event = await eventService.createEvent(req.body, getAuditContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Event created successfully',
+      data: event
+    });
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a tap event
+ */
+const updateEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const event = await eventService.updateEvent(id, req.body, getAuditContext(req));
+
+    res.json({
+      success: true,
+      message: 'Event updated successfully',
+      data: event
+    });
+  } catch (error) {
+    console.error('Update event error:', error);
+
+    if (error.message === 'Event not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Event end date must not be before its start date') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a tap event
+ */
+const deleteEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await eventService.deleteEvent(id, getAuditContext(req));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Delete event error:', error);
+
+    if (error.message === 'Event not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the signed-in admin user
+ */
+const getCurrentUser = async (req, res) => {
+  try {
+    const user = await userService.getUserById(req.user.sub);
+
+    res.json({
+      success: true,
+      data: {
+        ...user,
+        permissions: userService.getPermissions(user.role)
+      }
+    });
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List admin users
+ */
+const getUsers = async (req, res) => {
+  try {
+    const users = await userService.listUsers();
+
+    res.json({
+      success: true,
+      data: users,
+      count: users.length
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create an admin user
+ */
+const createUser = async (req, res) => {
+  try {
+    // Create backup before write
+    await backupService.createBackup();
+
+    const user = await userService.createUser(req.body, getAuditContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+
+    if (error.message === 'A user with this username already exists') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update an admin user's role, status or password
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const user = await userService.updateUser(id, req.body, getAuditContext(req));
+
+    // A new password signs the user out everywhere
+    if (req.body.password) {
+      await tokenService.logoutAll(id);
+    }
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'At least one active superadmin is required') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete an admin user
+ */
+const deleteUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await userService.deleteUser(id, getAuditContext(req));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Delete user error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'At least one active superadmin is required') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Start two-factor enrolment for the signed-in user
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const result = await userService.setupTwoFactor(req.user.sub);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: result
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+
+    if (error.message === 'Two-factor login is already enabled') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Two-factor login is not configured') {
+      return res.status(503).json({
+        success: false,
+        message: 'Two-factor login is not configured on this server (TOTP_ENCRYPTION_KEY)'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Confirm two-factor enrolment for the signed-in user
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const backupCodes = await userService.enableTwoFactor(req.user.sub, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor login enabled. Store the backup codes somewhere safe; they are shown only once',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+
+    if (error.message === 'Two-factor login is already enabled') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Invalid two-factor code') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Two-factor secret cannot be read') {
+      return res.status(503).json({
+        success: false,
+        message: 'Two-factor login is unavailable. Ask a superadmin to reset it'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Turn off two-factor login for the signed-in user
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    await userService.disableTwoFactor(req.user.sub, req.body.code, getAuditContext(req));
+
+    res.json({
+      success: true,
+      message: 'Two-factor login disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+
+    if (error.message === 'Invalid two-factor code') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Two-factor secret cannot be read') {
+      return res.status(503).json({
+        success: false,
+        message: 'Two-factor login is unavailable. Ask a superadmin to reset it'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Replace the signed-in user's backup codes
+ */
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const backupCodes = await userService.regenerateBackupCodes(req.user.sub, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated; the old ones no longer work',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('Backup code error:', error);
+
+    if (error.message === 'Invalid two-factor code') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Two-factor secret cannot be read') {
+      return res.status(503).json({
+        success: false,
+        message: 'Two-factor login is unavailable. Ask a superadmin to reset it'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate backup codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reset two-factor login for a user who lost their device
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    await userService.disableTwoFactor(id, undefined, getAuditContext(req));
+
+    res.json({
+      success: true,
+      message: 'Two-factor login reset'
+    });
+  } catch (error) {
+    console.error('Two-factor reset error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   login,
+  verifyLogin,
+  refreshSession,
+  logout,
+  logoutAll,
   getHealth,
   getBackups,
   createBackup,
   restoreBackup,
-  archiveRecords
+  archiveRecords,
+  getAuditLog,
+  getCalendar,
+  setCalendarDate,
+  deleteCalendarDate,
+  getShalas,
+  createShala,
+  updateShala,
+  deleteShala,
+  getEvents,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  getCurrentUser,
+  getUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  resetUserTwoFactor
 };
@@ -1,27 +1,29 @@
 const excelService = require('../services/excel.service');
 const backupService = require('../services/backup.service');
 const emailService = require('../services/email.service');
-const { getClientIp, paginate } = require('../utils/helpers');
+const shalaService = require('../services/shala.service');
+const duplicateService = require('../services/duplicate.service');
+const holdService = require('../services/hold.service');
+const policyService = require('../services/policy.service');
+const eventService = require('../services/event.service');
+const importService = require('../services/import.service');
+const exportService = require('../services/export.service');
+const receiptService = require('../services/receipt.service');
+const excelConfig = require('../config/excel.config');
+const {
+  getClientIp,
+  getAuditContext,
+  getSubmissionEtag,
+  getExpectedVersions,
+  paginate
+} = require('../utils/helpers');
+const { toDateKey, daysBetween } = require('../utils/date');
 
 /**
  * Create new submission
  */
 const createSubmission = async (req, res) => {
   try {
-    // Validate booking date if provided
-    if (req.body.bookingDate) {
-      const validation = await excelService.validateBookingDate(req.body.bookingDate);
-
-      if (!validation.valid) {
-        return res.status(400).json({
-          success: false,
-          message: validation.error,
-          messageGu: validation.errorGu,
-          nextAvailableDate: validation.nextAvailableDate
-        });
-      }
-    }
-
     // Create backup before write
     await backupService.createBackup();
 
@@ -31,18 +33,17 @@ const createSubmission = async (req, res) => {
       ipAddress: getClientIp(req)
     };
 
-    // Add submission to Excel
+    // Add submission to Excel (shala and booking date are validated under the write lock)
     const result = await excelService.addSubmission(submissionData);
 
-    // Send confirmation email (if enabled and email provided)
-    if (submissionData.email) {
-      emailService.sendSubmissionConfirmation({
-        ...submissionData,
-        id: result.id,
-        date: result.data.date
-      }).catch(err => {
-        console.error('Email send failed (non-blocking):', err.message);
-      });
+    // Shala unavailable, date in the past / closed / fully booked, or a rejected duplicate
+    if (!result.success) {
+      return res.status(result.duplicate ? 409 : 400).json(result);
+    }
+
+    // Send confirmation email with the PDF receipt (if enabled and email provided)
+    if (emailService.enabled && submissionData.email) {
+      sendConfirmationEmail(submissionData, result);
     }
 
     res.status(201).json(result);
@@ -61,13 +62,8 @@ const createSubmission = async (req, res) => {
  */
 const getAllSubmissions = async (req, res) => {
   try {
-    const { page = 1, limit = 50, status, city, state } = req.query;
-
-    // Build filters
-    const filters = {};
-    if (status) filters.status = status;
-    if (city) filters.city = city;
-    if (state) filters.state = state;
+    const { page = 1, limit = 50 } = req.query;
+    const filters = getSubmissionFilters(req.query);
 
     // Get submissions
     const submissions = await excelService.getAllSubmissions(filters);
@@ -104,6 +100,9 @@ const getSubmissionById = async (req, res) => {
       });
     }
 
+    // Sent back in If-Match when updating or deleting
+    res.set('ETag', getSubmissionEtag(submission));
+
     res.json({
       success: true,
       data: submission
@@ -118,6 +117,32 @@ const getSubmissionById = async (req, res) => {
   }
 };
 
+/**
+ * Download the PDF booking receipt of a submission
+ */
+const getSubmissionReceipt = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const submission = await excelService.getSubmissionById(id);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    sendReceipt(res, id, await receiptService.generateReceipt(submission));
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Update submission (Admin only)
  */
@@ -128,13 +153,23 @@ const updateSubmission = async (req, res) => {
     // Create backup before update
     await backupService.createBackup();
 
-    const result = await excelService.updateSubmission(id, req.body);
+    const result = await excelService.updateSubmission(id, req.body, getAuditContext(req), getExpectedVersions(req));
+
+    // Inactive shala, or a new date or status that the booking rules refuse
+    if (!result.success) {
+      return res.status(result.duplicate ? 409 : 400).json(result);
+    }
 
+    res.set('ETag', getSubmissionEtag(result.data));
     res.json(result);
   } catch (error) {
     console.error('Update submission error:', error);
 
-    if (error.message === 'Submission not found') {
+    if (error.message === 'Submission was changed by someone else') {
+      return await sendPreconditionFailed(req, res, error);
+    }
+
+    if (['Submission not found', 'Shala not found', 'Event not found'].includes(error.message)) {
       return res.status(404).json({
         success: false,
         message: error.message
@@ -159,12 +194,16 @@ const deleteSubmission = async (req, res) => {
     // Create backup before delete
     await backupService.createBackup();
 
-    const result = await excelService.deleteSubmission(id);
+    const result = await excelService.deleteSubmission(id, getAuditContext(req), getExpectedVersions(req));
 
     res.json(result);
   } catch (error) {
     console.error('Delete submission error:', error);
 
+    if (error.message === 'Submission was changed by someone else') {
+      return await sendPreconditionFailed(req, res, error);
+    }
+
     if (error.message === 'Submission not found') {
       return res.status(404).json({
         success: false,
@@ -180,6 +219,222 @@ const deleteSubmission = async (req, res) => {
   }
 };
 
+/**
+ * Change the status of many submissions (Admin only)
+ */
+const bulkUpdateStatus = async (req, res) => {
+  await runBulk(req, res, 'Failed to update submissions', (selection, audit) => {
+    return excelService.bulkUpdateStatus(selection, req.body.status, audit);
+  });
+};
+
+/**
+ * Move many submissions to another date (Admin only)
+ */
+const bulkReschedule = async (req, res) => {
+  await runBulk(req, res, 'Failed to reschedule submissions', (selection, audit) => {
+    return excelService.bulkReschedule(selection, req.body.bookingDate, audit);
+  });
+};
+
+/**
+ * Move many submissions to the trash (Admin only)
+ */
+const bulkDelete = async (req, res) => {
+  await runBulk(req, res, 'Failed to delete submissions', (selection, audit) => {
+    return excelService.bulkDelete(selection, audit);
+  });
+};
+
+/**
+ * Import submissions from an uploaded XLSX or CSV file (Admin only)
+ * With dryRun=true the rows are checked and reported but nothing is stored
+ */
+const importSubmissions = async (req, res) => {
+  try {
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun) === 'true';
+    const waitlist = String(req.body.waitlist ?? req.query.waitlist) === 'true';
+
+    if (!dryRun) {
+      // Create backup before write
+      await backupService.createBackup();
+    }
+
+    const result = await importService.importSubmissions(req.file, { dryRun, waitlist }, getAuditContext(req));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Import submissions error:', error);
+
+    if (error.message.startsWith('The file') || error.message.startsWith('Imports are limited to')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import submissions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the version history of a submission (Admin only)
+ */
+const getSubmissionVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versions = await excelService.getSubmissionVersions(id);
+
+    if (!versions) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Get submission versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch submission versions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revert a submission to an earlier version (Admin only)
+ */
+const revertSubmission = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await excelService.revertSubmission(id, parseInt(version), getAuditContext(req));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Revert submission error:', error);
+
+    if (['Submission not found', 'Version not found'].includes(error.message)) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Booking date of this version is fully booked') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revert submission',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List deleted submissions (Admin only)
+ */
+const getTrash = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const submissions = await excelService.getDeletedSubmissions();
+    const paginatedResult = paginate(submissions, parseInt(page), parseInt(limit));
+
+    res.json({
+      success: true,
+      retentionDays: excelConfig.trashRetentionDays,
+      ...paginatedResult
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deleted submissions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Restore a deleted submission (Admin only)
+ */
+const restoreSubmission = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await excelService.restoreSubmission(id, getAuditContext(req));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Restore submission error:', error);
+
+    if (error.message === 'Submission not found in trash') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore submission',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Permanently delete a submission from the trash (Admin only)
+ */
+const purgeSubmission = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await excelService.purgeSubmission(id, getAuditContext(req));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Purge submission error:', error);
+
+    if (error.message === 'Submission not found in trash') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to permanently delete submission',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Search submissions (Admin only)
  */
@@ -211,12 +466,36 @@ const searchSubmissions = async (req, res) => {
   }
 };
 
+/**
+ * List suspected duplicate bookings (Admin only)
+ */
+const getSuspectedDuplicates = async (req, res) => {
+  try {
+    const groups = await duplicateService.findSuspectedDuplicates();
+
+    res.json({
+      success: true,
+      policy: excelConfig.duplicatePolicy,
+      data: groups,
+      count: groups.length
+    });
+  } catch (error) {
+    console.error('Get duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suspected duplicates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get statistics (Admin only)
  */
 const getStatistics = async (req, res) => {
   try {
-    const stats = await excelService.getStatistics();
+    const { eventId } = req.query;
+    const stats = await excelService.getStatistics(eventId ? { eventId } : {});
 
     res.json({
       success: true,
@@ -237,29 +516,26 @@ const getStatistics = async (req, res) => {
  */
 const exportSubmissions = async (req, res) => {
   try {
-    const { status, city, state } = req.query;
-
-    // Build filters
-    const filters = {};
-    if (status) filters.status = status;
-    if (city) filters.city = city;
-    if (state) filters.state = state;
-
-    const exportPath = await excelService.exportSubmissions(filters);
-
-    res.download(exportPath, `submissions_export_${Date.now()}.xlsx`, (err) => {
-      if (err) {
-        console.error('Download error:', err);
-        if (!res.headersSent) {
-          res.status(500).json({
-            success: false,
-            message: 'Failed to download export file'
-          });
-        }
-      }
+    const { format = 'xlsx', fields } = req.query;
+    const filters = getSubmissionFilters(req.query);
+
+    const result = await exportService.exportSubmissions(filters, {
+      format,
+      fields: fields ? fields.split(',').map(field => field.trim()).filter(Boolean) : null
     });
+
+    // Rows are streamed straight into the response
+    res.attachment(result.filename);
+    res.type(result.contentType);
+    await result.write(res);
   } catch (error) {
     console.error('Export submissions error:', error);
+
+    // Once the download has started the only way to report a failure is to cut it off
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
     res.status(500).json({
       success: false,
       message: 'Export failed',
@@ -273,7 +549,7 @@ const exportSubmissions = async (req, res) => {
  */
 const getBookingCountsByDateRange = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, shalaId } = req.query;
 
     if (!startDate || !endDate) {
       return res.status(400).json({
@@ -282,15 +558,46 @@ const getBookingCountsByDateRange = async (req, res) => {
       });
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = toDateKey(startDate);
+    const end = toDateKey(endDate);
 
-    const bookingCounts = await excelService.getBookingCountsByDateRange(start, end);
+    if (!start || !end || end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates with startDate before endDate'
+      });
+    }
+
+    if (daysBetween(start, end) > 366) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date range cannot exceed one year'
+      });
+    }
+
+    const shala = shalaId ? await shalaService.getShalaById(shalaId) : null;
+
+    if (shalaId && !shala) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shala not found'
+      });
+    }
+
+    const [bookingCounts, capacities] = await Promise.all([
+      excelService.getBookingCountsByDateRange(start, end, shalaId || null),
+      excelService.getCapacitiesByDateRange(start, end, shalaId || null)
+    ]);
 
     res.json({
       success: true,
+      shalaId: shalaId || null,
       bookingCounts,
-      maxBookingsPerDay: 3
+      capacities,
+      // Days the booking window closes, with the reason (past, cutoff, too_far, weekday)
+      closedDates: policyService.getClosedDates(start, end),
+      lastBookableDate: policyService.getLastBookableDate(),
+      maxBookingsPerDay: shala?.maxBookingsPerDay ?? excelConfig.maxBookingsPerDay
     });
   } catch (error) {
     console.error('Get booking counts error:', error);
@@ -308,6 +615,7 @@ const getBookingCountsByDateRange = async (req, res) => {
 const checkDateAvailability = async (req, res) => {
   try {
     const { date } = req.params;
+    const { shalaId } = req.query;
 
     if (!date) {
       return res.status(400).json({
@@ -316,11 +624,19 @@ const checkDateAvailability = async (req, res) => {
       });
     }
 
-    const availability = await excelService.isDateAvailable(date);
+    if (shalaId && !(await shalaService.getShalaById(shalaId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shala not found'
+      });
+    }
+
+    const availability = await excelService.isDateAvailable(date, shalaId || null);
 
     res.json({
       success: true,
       date,
+      shalaId: shalaId || null,
       ...availability
     });
   } catch (error) {
@@ -338,7 +654,7 @@ const checkDateAvailability = async (req, res) => {
  */
 const validateBookingDate = async (req, res) => {
   try {
-    const { bookingDate } = req.body;
+    const { bookingDate, shalaId } = req.body;
 
     if (!bookingDate) {
       return res.status(400).json({
@@ -347,7 +663,7 @@ const validateBookingDate = async (req, res) => {
       });
     }
 
-    const validation = await excelService.validateBookingDate(bookingDate);
+    const validation = await excelService.validateBookingDate(bookingDate, shalaId || null);
 
     if (!validation.valid) {
       return res.status(400).json({
@@ -370,16 +686,389 @@ const validateBookingDate = async (req, res) => {
   }
 };
 
+/**
+ * Hold a seat while the form is being filled (public)
+ */
+const createHold = async (req, res) => {
+  try {
+    const result = await holdService.createHold(req.body, getClientIp(req));
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Create hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to hold seat',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Release a held seat (public)
+ */
+const releaseHold = async (req, res) => {
+  try {
+    const result = await holdService.releaseHold(req.params.token);
+    res.json(result);
+  } catch (error) {
+    console.error('Release hold error:', error);
+
+    if (error.message === 'Hold not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Hold not found or already expired'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release hold',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List active tap events (for the booking form)
+ */
+const getEvents = async (req, res) => {
+  try {
+    const events = await eventService.listEvents(true);
+
+    res.json({
+      success: true,
+      data: events.map(({ id, name, startDate, endDate }) => ({
+        id,
+        name,
+        startDate: toDateKey(startDate),
+        endDate: toDateKey(endDate)
+      })),
+      count: events.length
+    });
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List active Ayambil Shalas (for the booking form)
+ */
+const getShalas = async (req, res) => {
+  try {
+    const shalas = await shalaService.listShalas(true);
+
+    res.json({
+      success: true,
+      data: shalas.map(({ id, name, city, maxBookingsPerDay }) => ({
+        id,
+        name,
+        city,
+        maxBookingsPerDay: maxBookingsPerDay ?? excelConfig.maxBookingsPerDay
+      })),
+      count: shalas.length
+    });
+  } catch (error) {
+    console.error('Get shalas error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shalas',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Look up own booking (public, verified by WhatsApp number)
+ */
+const lookupOwnSubmission = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { whatsappNumber } = req.body;
+
+    const submission = await excelService.lookupOwnSubmission(id, whatsappNumber);
+
+    res.json({
+      success: true,
+      data: submission
+    });
+  } catch (error) {
+    console.error('Self-service lookup error:', error);
+
+    if (error.message === 'Submission not found') {
+      return res.status(404).json(selfServiceNotFound());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Download own booking receipt (public, verified by WhatsApp number)
+ */
+const getOwnSubmissionReceipt = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { whatsappNumber } = req.body;
+
+    const submission = await excelService.getOwnSubmissionForReceipt(id, whatsappNumber);
+
+    sendReceipt(res, id, await receiptService.generateReceipt(submission));
+  } catch (error) {
+    console.error('Self-service receipt error:', error);
+
+    if (error.message === 'Submission not found') {
+      return res.status(404).json(selfServiceNotFound());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Cancel own booking (public, verified by WhatsApp number)
+ */
+const cancelOwnSubmission = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { whatsappNumber } = req.body;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await excelService.cancelOwnSubmission(id, whatsappNumber, getClientIp(req));
+
+    res.status(result.success ? 200 : 400).json(result);
+  } catch (error) {
+    console.error('Self-service cancel error:', error);
+
+    if (error.message === 'Submission not found') {
+      return res.status(404).json(selfServiceNotFound());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Move own booking to another date (public, verified by WhatsApp number)
+ */
+const rescheduleOwnSubmission = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { whatsappNumber, bookingDate } = req.body;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await excelService.rescheduleOwnSubmission(id, whatsappNumber, bookingDate, getClientIp(req));
+
+    if (!result.success) {
+      return res.status(result.duplicate ? 409 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Self-service reschedule error:', error);
+
+    if (error.message === 'Submission not found') {
+      return res.status(404).json(selfServiceNotFound());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Response when the submission ID and WhatsApp number do not match
+ */
+function selfServiceNotFound() {
+  return {
+    success: false,
+    message: 'No booking found for this submission ID and WhatsApp number',
+    messageGu: 'આ સબમિશન ID અને WhatsApp નંબર માટે કોઈ બુકિંગ મળ્યું નથી'
+  };
+}
+
+/**
+ * Email the submitter their booking in the background
+ * The receipt covers only the days that got a seat; a waitlisted request has none yet
+ */
+function sendConfirmationEmail(submissionData, result) {
+  const bookings = [].concat(result.data);
+  const booked = bookings.filter(booking => booking.status !== 'waitlisted');
+
+  const receipt = booked.length > 0
+    ? receiptService.generateReceipt(booked).catch(err => {
+      // Still send the email, without the receipt
+      console.error('Receipt generation failed:', err.message);
+      return null;
+    })
+    : Promise.resolve(null);
+
+  receipt
+    .then(pdf => emailService.sendSubmissionConfirmation({
+      ...submissionData,
+      id: result.id,
+      submissionDate: bookings[0].submissionDate,
+      bookings: bookings.map(booking => ({ bookingDate: booking.bookingDate, status: booking.status }))
+    }, pdf && {
+      filename: receiptService.getFilename(result.id),
+      content: pdf
+    }))
+    .catch(err => {
+      console.error('Email send failed (non-blocking):', err.message);
+    });
+}
+
+/**
+ * Send a PDF receipt as a download
+ */
+function sendReceipt(res, id, receipt) {
+  res.type('application/pdf');
+  res.attachment(receiptService.getFilename(id));
+  res.send(receipt);
+}
+
+/**
+ * Read the submission list filters from a query string (listing and export share them)
+ */
+function getSubmissionFilters(query) {
+  const { status, city, state, flagged, parentId, eventId, shalaId, from, to } = query;
+
+  const filters = {};
+  if (status) filters.status = status;
+  if (city) filters.city = city;
+  if (state) filters.state = state;
+  if (flagged) filters.flagged = flagged;
+  if (parentId) filters.parentId = parentId;
+  if (eventId) filters.eventId = eventId;
+  if (shalaId) filters.shalaId = shalaId;
+  if (from) filters.from = from;
+  if (to) filters.to = to;
+
+  return filters;
+}
+
+/**
+ * Run a bulk operation on the submissions chosen by ID list or filter
+ * One backup covers the whole operation
+ */
+async function runBulk(req, res, failureMessage, operation) {
+  try {
+    const selection = req.body.ids ? { ids: req.body.ids } : { filter: req.body.filter };
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await operation(selection, getAuditContext(req));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Bulk operation error:', error);
+
+    if (error.message.startsWith('Bulk operations are limited to')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: failureMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+/**
+ * Answer a write based on a stale read with the current record, so the client can merge and retry
+ * Called from catch blocks, so it never rejects
+ */
+async function sendPreconditionFailed(req, res, error) {
+  try {
+    const current = await excelService.getSubmissionById(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    res.set('ETag', getSubmissionEtag(current));
+
+    return res.status(412).json({
+      success: false,
+      message: `${error.message} since you loaded it`,
+      data: current
+    });
+  } catch (readError) {
+    console.error('Precondition failed response error:', readError);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load the current submission',
+      error: process.env.NODE_ENV === 'development' ? readError.message : undefined
+    });
+  }
+}
+
 module.exports = {
   createSubmission,
   getAllSubmissions,
   getSubmissionById,
+  getSubmissionReceipt,
   updateSubmission,
   deleteSubmission,
+  bulkUpdateStatus,
+  bulkReschedule,
+  bulkDelete,
+  importSubmissions,
+  getSubmissionVersions,
+  revertSubmission,
+  getTrash,
+  restoreSubmission,
+  purgeSubmission,
   searchSubmissions,
+  getSuspectedDuplicates,
   getStatistics,
   exportSubmissions,
   getBookingCountsByDateRange,
   checkDateAvailability,
-  validateBookingDate
+  validateBookingDate,
+  createHold,
+  releaseHold,
+  getEvents,
+  getShalas,
+  lookupOwnSubmission,
+  getOwnSubmissionReceipt,
+  cancelOwnSubmission,
+  rescheduleOwnSubmission
 };
@@ -1,10 +1,14 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const excelConfig = require('../config/excel.config');
+const tokenService = require('../services/token.service');
 
 /**
  * JWT authentication middleware
+ * Rejects tokens revoked by logout before they expire
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -15,27 +19,77 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
+  let decoded;
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     return res.status(403).json({
       success: false,
       message: 'Invalid or expired token'
     });
   }
+
+  // Login challenge tokens only unlock the two-factor step
+  if (decoded.purpose) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
+
+  try {
+    if (await tokenService.isRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
+
+    req.user = decoded;
+    next();
+  } catch (error) {
+    console.error('Token revocation check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
 };
 
 /**
- * Generate JWT token
+ * Generate a short-lived access token
+ * Each token gets its own ID (jti) so it can be revoked on logout
  */
 const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+  return jwt.sign({ ...payload, jti: crypto.randomUUID() }, process.env.JWT_SECRET, {
+    expiresIn: excelConfig.accessTokenMinutes * 60
   });
 };
 
+/**
+ * Generate a login challenge token for the two-factor step
+ */
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ sub: userId, purpose: 'two-factor' }, process.env.JWT_SECRET, {
+    expiresIn: excelConfig.twoFactor.challengeMinutes * 60
+  });
+};
+
+/**
+ * Verify a login challenge token
+ * Returns the payload, or null if the token is invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'two-factor' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Hash password
  */
@@ -51,45 +105,11 @@ const comparePassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
 
-/**
- * Admin authentication with bcrypt password hashing
- * Password is stored as bcrypt hash in environment variables for security
- */
-const authenticateAdmin = async (username, password) => {
-  const adminUsername = process.env.ADMIN_USERNAME || 'admin';
-  const adminPasswordHash = process.env.ADMIN_PASSWORD_HASH;
-
-  // Validate username
-  if (username !== adminUsername) {
-    return {
-      success: false,
-      message: 'Invalid credentials'
-    };
-  }
-
-  // Validate password using bcrypt comparison
-  const isPasswordValid = await comparePassword(password, adminPasswordHash);
-
-  if (isPasswordValid) {
-    return {
-      success: true,
-      user: {
-        username: adminUsername,
-        role: 'admin'
-      }
-    };
-  }
-
-  return {
-    success: false,
-    message: 'Invalid credentials'
-  };
-};
-
 module.exports = {
   authenticateToken,
   generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   hashPassword,
-  comparePassword,
-  authenticateAdmin
+  comparePassword
 };
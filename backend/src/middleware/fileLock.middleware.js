@@ -3,14 +3,14 @@ const excelConfig = require('../config/excel.config');
 
 /**
  * Wrapper function to execute operations with file locking
- * Prevents concurrent write conflicts on Excel file
+ * Prevents concurrent write conflicts on the data file
  *
- * @param {Function} operation - Async operation to perform on the Excel file
+ * @param {Function} operation - Async operation to perform on the data file
+ * @param {string} filePath - File to lock (defaults to the Excel file)
  * @returns {Promise} Result of the operation
  */
-async function withFileLock(operation) {
+async function withFileLock(operation, filePath = excelConfig.excelFilePath) {
   let release;
-  const filePath = excelConfig.excelFilePath;
 
   try {
     // Acquire lock with retry mechanism
@@ -40,11 +40,12 @@ async function withFileLock(operation) {
 /**
  * Check if file is currently locked
  *
+ * @param {string} filePath - File to check (defaults to the Excel file)
  * @returns {Promise<boolean>} True if file is locked
  */
-async function isFileLocked() {
+async function isFileLocked(filePath = excelConfig.excelFilePath) {
   try {
-    const locked = await lockfile.check(excelConfig.excelFilePath);
+    const locked = await lockfile.check(filePath);
     return locked;
   } catch (error) {
     console.error('Error checking file lock status:', error);
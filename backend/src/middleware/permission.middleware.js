@@ -0,0 +1,42 @@
+const userService = require('../services/user.service');
+
+/**
+ * Permission middleware
+ * Must run after authenticateToken. The role is read from the stored user,
+ * so role changes and deactivation apply without waiting for the token to expire.
+ *
+ * @param {string} permission - Permission required by the route (see roles.config.js)
+ */
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const user = req.user && req.user.sub ? await userService.getUserById(req.user.sub) : null;
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not active'
+      });
+    }
+
+    if (!userService.getPermissions(user.role).includes(permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    req.user = { ...req.user, username: user.username, role: user.role };
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Permission check failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  requirePermission
+};
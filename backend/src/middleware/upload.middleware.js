@@ -0,0 +1,56 @@
+const path = require('path');
+const multer = require('multer');
+const excelConfig = require('../config/excel.config');
+
+// File types accepted for submission imports
+const IMPORT_EXTENSIONS = ['.xlsx', '.csv'];
+
+const upload = multer({
+  // Imports are parsed straight from memory and never written to disk
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: excelConfig.importMaxFileSizeMB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (!IMPORT_EXTENSIONS.includes(extension)) {
+      return callback(new Error('Only .xlsx and .csv files can be imported'));
+    }
+
+    callback(null, true);
+  }
+});
+
+/**
+ * Accept one import file in the "file" field of a multipart form
+ * Upload errors are answered with 400 instead of reaching the error handler
+ */
+const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than ${excelConfig.importMaxFileSizeMB}MB`
+        : error.message;
+
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a .xlsx or .csv file in the "file" field'
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadImportFile
+};
@@ -1,16 +1,74 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const excelConfig = require('../config/excel.config');
+const rolesConfig = require('../config/roles.config');
 const { isValidMobile, isValidEmail } = require('../utils/helpers');
+const { toDateKey, daysBetween } = require('../utils/date');
+
+/**
+ * Whether a submission books several days (a list or a range of dates)
+ */
+const isMultiDay = (req) => Boolean(req.body.bookingDates || req.body.bookingDateFrom || req.body.bookingDateTo);
 
 /**
  * Validation rules for form submission
  */
 const submissionValidationRules = [
   body('bookingDate')
+    .if((value, { req }) => !isMultiDay(req))
     .notEmpty()
     .withMessage('બુકિંગ તારીખ જરૂરી છે (Booking date is required)')
-    .isISO8601()
+    .isISO8601({ strict: true })
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
+
+  body('bookingDates')
+    .optional()
+    .isArray({ min: 1, max: excelConfig.maxDaysPerSubmission })
+    .withMessage(`1 થી ${excelConfig.maxDaysPerSubmission} તારીખો પસંદ કરો (Select between 1 and ${excelConfig.maxDaysPerSubmission} dates)`),
+
+  body('bookingDates.*')
+    .isISO8601({ strict: true })
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
+
+  body('bookingDateFrom')
+    .if((value, { req }) => req.body.bookingDateTo && !req.body.bookingDates)
+    .notEmpty()
+    .withMessage('શરૂઆતની તારીખ જરૂરી છે (Start date is required)')
+    .isISO8601({ strict: true })
     .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
 
+  body('bookingDateTo')
+    .if((value, { req }) => req.body.bookingDateFrom && !req.body.bookingDates)
+    .notEmpty()
+    .withMessage('છેલ્લી તારીખ જરૂરી છે (End date is required)')
+    .isISO8601({ strict: true })
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)')
+    .custom((value, { req }) => {
+      const days = daysBetween(toDateKey(req.body.bookingDateFrom), toDateKey(value)) + 1;
+      if (days < 1) {
+        throw new Error('છેલ્લી તારીખ શરૂઆતની તારીખ પછી હોવી જોઈએ (End date must not be before start date)');
+      }
+      if (days > excelConfig.maxDaysPerSubmission) {
+        throw new Error(`વધુમાં વધુ ${excelConfig.maxDaysPerSubmission} દિવસ બુક કરી શકાય (At most ${excelConfig.maxDaysPerSubmission} days can be booked)`);
+      }
+      return true;
+    }),
+
+  body('allowPartial')
+    .optional()
+    .isBoolean()
+    .withMessage('allowPartial must be true or false')
+    .toBoolean(),
+
+  body('holdToken')
+    .optional()
+    .custom((value) => {
+      const tokens = [].concat(value);
+      if (tokens.length > excelConfig.maxDaysPerSubmission || tokens.some(token => typeof token !== 'string' || token.length > 50)) {
+        throw new Error('Invalid hold token');
+      }
+      return true;
+    }),
+
   body('name')
     .trim()
     .notEmpty()
@@ -40,7 +98,21 @@ const submissionValidationRules = [
       return true;
     }),
 
+  body('shalaId')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Invalid shala ID'),
+
+  body('eventId')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Invalid event ID'),
+
+  // Shala name comes from the master list when a shala ID is given
   body('ayambilShalaName')
+    .if((value, { req }) => !req.body.shalaId)
     .trim()
     .notEmpty()
     .withMessage('આયંબિલ શાળા નામ જરૂરી છે (Ayambil Shala name is required)')
@@ -52,7 +124,23 @@ const submissionValidationRules = [
     .notEmpty()
     .withMessage('શહેર જરૂરી છે (City is required)')
     .isLength({ min: 2, max: 100 })
-    .withMessage('શહેર 2 થી 100 અક્ષરો વચ્ચે હોવું જોઈએ (City must be between 2 and 100 characters)')
+    .withMessage('શહેર 2 થી 100 અક્ષરો વચ્ચે હોવું જોઈએ (City must be between 2 and 100 characters)'),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .custom((value) => {
+      if (!isValidEmail(value)) {
+        throw new Error('માન્ય ઈમેલ દાખલ કરો (Enter valid email)');
+      }
+      return true;
+    }),
+
+  body('waitlist')
+    .optional()
+    .isBoolean()
+    .withMessage('Waitlist must be true or false')
+    .toBoolean()
 ];
 
 /**
@@ -61,12 +149,12 @@ const submissionValidationRules = [
 const updateSubmissionValidationRules = [
   body('status')
     .optional()
-    .isIn(['pending', 'reviewed', 'archived'])
-    .withMessage('Status must be one of: pending, reviewed, archived'),
+    .isIn(['pending', 'reviewed', 'archived', 'waitlisted', 'cancelled'])
+    .withMessage('Status must be one of: pending, reviewed, archived, waitlisted, cancelled'),
 
   body('bookingDate')
     .optional()
-    .isISO8601()
+    .isISO8601({ strict: true })
     .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
 
   body('name')
@@ -101,11 +189,415 @@ const updateSubmissionValidationRules = [
     .isLength({ min: 2, max: 200 })
     .withMessage('શાળા નામ 2 થી 200 અક્ષરો વચ્ચે હોવું જોઈએ (Shala name must be between 2 and 200 characters)'),
 
+  body('shalaId')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Invalid shala ID'),
+
   body('city')
     .optional()
     .trim()
     .isLength({ min: 2, max: 100 })
-    .withMessage('શહેર 2 થી 100 અક્ષરો વચ્ચે હોવું જોઈએ (City must be between 2 and 100 characters)')
+    .withMessage('શહેર 2 થી 100 અક્ષરો વચ્ચે હોવું જોઈએ (City must be between 2 and 100 characters)'),
+
+  body('eventId')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Invalid event ID'),
+
+  body('reviewFlag')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Review flag must be at most 500 characters')
+];
+
+/**
+ * Validation rules for exporting submissions
+ */
+const exportValidationRules = [
+  query('format')
+    .optional()
+    .isIn(['xlsx', 'csv', 'json'])
+    .withMessage('Format must be one of: xlsx, csv, json'),
+
+  query('fields')
+    .optional()
+    .custom((value) => {
+      const keys = excelConfig.columns.map(column => column.key);
+      const unknown = String(value).split(',').map(field => field.trim()).filter(field => field && !keys.includes(field));
+
+      if (unknown.length > 0) {
+        throw new Error(`Unknown field(s): ${unknown.join(', ')}. Available: ${keys.join(', ')}`);
+      }
+      return true;
+    }),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Enter valid date (YYYY-MM-DD)')
+];
+
+/**
+ * Validation rules for choosing the submissions of a bulk operation
+ * Either an ID list or a filter (the same fields as the submission list) is required
+ */
+const bulkSelectionValidationRules = [
+  body('ids')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('ids must be a non-empty list of submission IDs'),
+
+  body('ids.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Invalid submission ID'),
+
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('filter must be an object'),
+
+  body(['filter.bookingDate', 'filter.from', 'filter.to'])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Enter valid filter date'),
+
+  body()
+    .custom((value) => {
+      const hasIds = Array.isArray(value.ids);
+      const filter = value.filter || {};
+      const hasFilter = ['status', 'city', 'flagged', 'parentId', 'eventId', 'shalaId', 'bookingDate', 'from', 'to']
+        .some(key => filter[key] !== undefined && filter[key] !== '');
+
+      if (hasIds === hasFilter) {
+        throw new Error('Provide either ids or a filter with at least one field');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for a bulk status change
+ */
+const bulkStatusValidationRules = [
+  ...bulkSelectionValidationRules,
+
+  body('status')
+    .isIn(['pending', 'reviewed', 'archived', 'waitlisted', 'cancelled'])
+    .withMessage('Status must be one of: pending, reviewed, archived, waitlisted, cancelled')
+];
+
+/**
+ * Validation rules for a bulk date reassignment
+ */
+const bulkRescheduleValidationRules = [
+  ...bulkSelectionValidationRules,
+
+  body('bookingDate')
+    .notEmpty()
+    .withMessage('Booking date is required')
+    .isISO8601({ strict: true })
+    .withMessage('Enter valid date')
+];
+
+/**
+ * Validation rules for reverting a submission to an earlier version
+ */
+const revertValidationRules = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive whole number')
+];
+
+/**
+ * Validation rules for self-service access to a booking
+ */
+const selfServiceValidationRules = [
+  param('id')
+    .trim()
+    .notEmpty()
+    .withMessage('સબમિશન ID જરૂરી છે (Submission ID is required)'),
+
+  body('whatsappNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('WhatsApp નંબર જરૂરી છે (WhatsApp number is required)')
+    .custom((value) => {
+      if (!isValidMobile(value)) {
+        throw new Error('માન્ય 10 અંકનો WhatsApp નંબર દાખલ કરો (Enter valid 10 digit WhatsApp number)');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for self-service rescheduling
+ */
+const rescheduleValidationRules = [
+  ...selfServiceValidationRules,
+
+  body('bookingDate')
+    .notEmpty()
+    .withMessage('બુકિંગ તારીખ જરૂરી છે (Booking date is required)')
+    .isISO8601({ strict: true })
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)')
+];
+
+/**
+ * Validation rules for holding a seat
+ */
+const holdValidationRules = [
+  body('bookingDate')
+    .notEmpty()
+    .withMessage('બુકિંગ તારીખ જરૂરી છે (Booking date is required)')
+    .isISO8601({ strict: true })
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
+
+  body('shalaId')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Invalid shala ID'),
+
+  body('ayambilShalaName')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('શાળા નામ 200 અક્ષરોથી વધુ ન હોવું જોઈએ (Shala name must be at most 200 characters)'),
+
+  body('eventId')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Invalid event ID')
+];
+
+/**
+ * Validation rules for calendar overrides
+ */
+const calendarValidationRules = [
+  param('date')
+    .isISO8601({ strict: true })
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
+
+  body('capacity')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Capacity must be a whole number between 0 and 1000'),
+
+  body('blackout')
+    .optional()
+    .isBoolean()
+    .withMessage('Blackout must be true or false'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters'),
+
+  body()
+    .custom((value) => {
+      if ((value.capacity === undefined || value.capacity === null) && !value.blackout) {
+        throw new Error('Provide a capacity or set blackout to true');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for creating a shala
+ */
+const shalaValidationRules = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('આયંબિલ શાળા નામ જરૂરી છે (Ayambil Shala name is required)')
+    .isLength({ min: 2, max: 200 })
+    .withMessage('શાળા નામ 2 થી 200 અક્ષરો વચ્ચે હોવું જોઈએ (Shala name must be between 2 and 200 characters)'),
+
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('City cannot exceed 100 characters'),
+
+  body('maxBookingsPerDay')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Daily capacity must be a whole number between 0 and 1000')
+    .toInt(),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for updating a shala
+ */
+const updateShalaValidationRules = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('શાળા નામ 2 થી 200 અક્ષરો વચ્ચે હોવું જોઈએ (Shala name must be between 2 and 200 characters)'),
+
+  ...shalaValidationRules.slice(1)
+];
+
+/**
+ * Validation rules for creating an event
+ */
+const eventValidationRules = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('કાર્યક્રમ નામ જરૂરી છે (Event name is required)')
+    .isLength({ min: 2, max: 200 })
+    .withMessage('કાર્યક્રમ નામ 2 થી 200 અક્ષરો વચ્ચે હોવું જોઈએ (Event name must be between 2 and 200 characters)'),
+
+  body('startDate')
+    .notEmpty()
+    .withMessage('શરૂઆતની તારીખ જરૂરી છે (Start date is required)')
+    .isISO8601({ strict: true })
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
+
+  body('endDate')
+    .notEmpty()
+    .withMessage('છેલ્લી તારીખ જરૂરી છે (End date is required)')
+    .isISO8601({ strict: true })
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)')
+    .custom((value, { req }) => {
+      if (req.body.startDate && toDateKey(value) < toDateKey(req.body.startDate)) {
+        throw new Error('છેલ્લી તારીખ શરૂઆતની તારીખ પછી હોવી જોઈએ (End date must not be before start date)');
+      }
+      return true;
+    }),
+
+  body('maxBookingsPerDay')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Daily capacity must be a whole number between 0 and 1000')
+    .toInt(),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for updating an event
+ */
+const updateEventValidationRules = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('કાર્યક્રમ નામ 2 થી 200 અક્ષરો વચ્ચે હોવું જોઈએ (Event name must be between 2 and 200 characters)'),
+
+  body('startDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
+
+  body('endDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
+
+  ...eventValidationRules.slice(3)
+];
+
+/**
+ * Validation rules for creating an admin user
+ */
+const userValidationRules = [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required')
+    .matches(/^[a-zA-Z0-9._-]{3,50}$/)
+    .withMessage('Username must be 3 to 50 letters, digits, dots, dashes or underscores'),
+
+  body('password')
+    .isString()
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters'),
+
+  body('role')
+    .isIn(rolesConfig.roles)
+    .withMessage(`Role must be one of: ${rolesConfig.roles.join(', ')}`),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for updating an admin user
+ */
+const updateUserValidationRules = [
+  body('password')
+    .optional()
+    .isString()
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters'),
+
+  body('role')
+    .optional()
+    .isIn(rolesConfig.roles)
+    .withMessage(`Role must be one of: ${rolesConfig.roles.join(', ')}`),
+
+  userValidationRules[3]
+];
+
+/**
+ * Validation rules for a two-factor code (authenticator or backup code)
+ */
+const twoFactorCodeValidationRules = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Two-factor code is required')
+];
+
+/**
+ * Validation rules for reading the audit trail
+ * from/to are a day (YYYY-MM-DD) or an ISO timestamp
+ */
+const auditQueryValidationRules = [
+  query('action')
+    .optional()
+    .matches(/^[a-zA-Z0-9._-]{1,100}$/)
+    .withMessage('Action must be an action name or its prefix (e.g. submission.)'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Enter valid date (YYYY-MM-DD) or timestamp'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
 ];
 
 /**
@@ -128,6 +620,29 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Run validation rules against a plain object, e.g. a row of an imported file
+ *
+ * @param {Array} rules - Validation chains
+ * @param {Object} data - Values to validate
+ * @returns {Promise<Object>} { data (sanitized values), errors: [{ field, message }] }
+ */
+const validateData = async (rules, data) => {
+  const req = { body: { ...data } };
+
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+
+  return {
+    data: req.body,
+    errors: validationResult(req).array().map(err => ({
+      field: err.path,
+      message: err.msg
+    }))
+  };
+};
+
 /**
  * Sanitize submission data
  */
@@ -139,6 +654,7 @@ const sanitizeSubmissionData = (req, res, next) => {
   if (req.body.whatsappNumber) req.body.whatsappNumber = sanitizeInput(req.body.whatsappNumber);
   if (req.body.ayambilShalaName) req.body.ayambilShalaName = sanitizeInput(req.body.ayambilShalaName);
   if (req.body.city) req.body.city = sanitizeInput(req.body.city);
+  if (req.body.email) req.body.email = sanitizeInput(req.body.email);
 
   next();
 };
@@ -146,6 +662,24 @@ const sanitizeSubmissionData = (req, res, next) => {
 module.exports = {
   submissionValidationRules,
   updateSubmissionValidationRules,
+  revertValidationRules,
+  exportValidationRules,
+  bulkSelectionValidationRules,
+  bulkStatusValidationRules,
+  bulkRescheduleValidationRules,
+  selfServiceValidationRules,
+  rescheduleValidationRules,
+  holdValidationRules,
+  calendarValidationRules,
+  shalaValidationRules,
+  updateShalaValidationRules,
+  eventValidationRules,
+  updateEventValidationRules,
+  userValidationRules,
+  updateUserValidationRules,
+  twoFactorCodeValidationRules,
+  auditQueryValidationRules,
   handleValidationErrors,
+  validateData,
   sanitizeSubmissionData
 };
@@ -2,6 +2,19 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
 const { authenticateToken } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const {
+  calendarValidationRules,
+  shalaValidationRules,
+  updateShalaValidationRules,
+  eventValidationRules,
+  updateEventValidationRules,
+  userValidationRules,
+  updateUserValidationRules,
+  twoFactorCodeValidationRules,
+  auditQueryValidationRules,
+  handleValidationErrors
+} = require('../middleware/validation.middleware');
 
 /**
  * Public Routes
@@ -10,23 +23,167 @@ const { authenticateToken } = require('../middleware/auth.middleware');
 // Admin login
 router.post('/login', adminController.login);
 
+// Second login step for accounts with two-factor login
+router.post(
+  '/login/verify',
+  twoFactorCodeValidationRules,
+  handleValidationErrors,
+  adminController.verifyLogin
+);
+
+// Exchange a refresh token for a new access token
+router.post('/refresh', adminController.refreshSession);
+
 // Health check (public for monitoring)
 router.get('/health', adminController.getHealth);
 
 /**
- * Protected Routes (Admin only)
+ * Protected Routes (Admin users, by role permission)
  */
 
+// Sign out this session or every session
+router.post('/logout', authenticateToken, adminController.logout);
+
+router.post('/logout-all', authenticateToken, adminController.logoutAll);
+
+// Signed-in user and their permissions
+router.get('/me', authenticateToken, requirePermission('submissions:read'), adminController.getCurrentUser);
+
 // Get backups list
-router.get('/backups', authenticateToken, adminController.getBackups);
+router.get('/backups', authenticateToken, requirePermission('system:read'), adminController.getBackups);
 
 // Create manual backup
-router.post('/backups', authenticateToken, adminController.createBackup);
+router.post('/backups', authenticateToken, requirePermission('backups:create'), adminController.createBackup);
 
 // Restore from backup
-router.post('/backups/restore', authenticateToken, adminController.restoreBackup);
+router.post('/backups/restore', authenticateToken, requirePermission('backups:restore'), adminController.restoreBackup);
 
 // Archive old records
-router.post('/archive', authenticateToken, adminController.archiveRecords);
+router.post('/archive', authenticateToken, requirePermission('archive:run'), adminController.archiveRecords);
+
+// Audit trail of admin changes
+router.get(
+  '/audit',
+  authenticateToken,
+  requirePermission('audit:read'),
+  auditQueryValidationRules,
+  handleValidationErrors,
+  adminController.getAuditLog
+);
+
+// Calendar overrides (capacity and blackout dates)
+router.get('/calendar', authenticateToken, requirePermission('settings:read'), adminController.getCalendar);
+
+router.put(
+  '/calendar/:date',
+  authenticateToken,
+  requirePermission('settings:write'),
+  calendarValidationRules,
+  handleValidationErrors,
+  adminController.setCalendarDate
+);
+
+router.delete('/calendar/:date', authenticateToken, requirePermission('settings:write'), adminController.deleteCalendarDate);
+
+// Ayambil Shala master list
+router.get('/shalas', authenticateToken, requirePermission('settings:read'), adminController.getShalas);
+
+router.post(
+  '/shalas',
+  authenticateToken,
+  requirePermission('settings:write'),
+  shalaValidationRules,
+  handleValidationErrors,
+  adminController.createShala
+);
+
+router.put(
+  '/shalas/:id',
+  authenticateToken,
+  requirePermission('settings:write'),
+  updateShalaValidationRules,
+  handleValidationErrors,
+  adminController.updateShala
+);
+
+router.delete('/shalas/:id', authenticateToken, requirePermission('settings:write'), adminController.deleteShala);
+
+// Tap events and seasons
+router.get('/events', authenticateToken, requirePermission('settings:read'), adminController.getEvents);
+
+router.post(
+  '/events',
+  authenticateToken,
+  requirePermission('settings:write'),
+  eventValidationRules,
+  handleValidationErrors,
+  adminController.createEvent
+);
+
+router.put(
+  '/events/:id',
+  authenticateToken,
+  requirePermission('settings:write'),
+  updateEventValidationRules,
+  handleValidationErrors,
+  adminController.updateEvent
+);
+
+router.delete('/events/:id', authenticateToken, requirePermission('settings:write'), adminController.deleteEvent);
+
+// Two-factor login for the signed-in user
+router.post('/2fa/setup', authenticateToken, requirePermission('submissions:read'), adminController.setupTwoFactor);
+
+router.post(
+  '/2fa/enable',
+  authenticateToken,
+  requirePermission('submissions:read'),
+  twoFactorCodeValidationRules,
+  handleValidationErrors,
+  adminController.enableTwoFactor
+);
+
+router.post(
+  '/2fa/disable',
+  authenticateToken,
+  requirePermission('submissions:read'),
+  twoFactorCodeValidationRules,
+  handleValidationErrors,
+  adminController.disableTwoFactor
+);
+
+router.post(
+  '/2fa/backup-codes',
+  authenticateToken,
+  requirePermission('submissions:read'),
+  twoFactorCodeValidationRules,
+  handleValidationErrors,
+  adminController.regenerateBackupCodes
+);
+
+// Admin users and roles
+router.get('/users', authenticateToken, requirePermission('users:manage'), adminController.getUsers);
+
+router.post(
+  '/users',
+  authenticateToken,
+  requirePermission('users:manage'),
+  userValidationRules,
+  handleValidationErrors,
+  adminController.createUser
+);
+
+router.put(
+  '/users/:id',
+  authenticateToken,
+  requirePermission('users:manage'),
+  updateUserValidationRules,
+  handleValidationErrors,
+  adminController.updateUser
+);
+
+router.delete('/users/:id', authenticateToken, requirePermission('users:manage'), adminController.deleteUser);
+
+router.delete('/users/:id/2fa', authenticateToken, requirePermission('users:manage'), adminController.resetUserTwoFactor);
 
 module.exports = router;
@@ -2,9 +2,19 @@ const express = require('express');
 const router = express.Router();
 const submissionController = require('../controllers/submission.controller');
 const { authenticateToken } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { uploadImportFile } = require('../middleware/upload.middleware');
 const {
   submissionValidationRules,
   updateSubmissionValidationRules,
+  revertValidationRules,
+  exportValidationRules,
+  bulkStatusValidationRules,
+  bulkRescheduleValidationRules,
+  bulkSelectionValidationRules,
+  selfServiceValidationRules,
+  rescheduleValidationRules,
+  holdValidationRules,
   handleValidationErrors,
   sanitizeSubmissionData
 } = require('../middleware/validation.middleware');
@@ -25,6 +35,32 @@ router.get(
   submissionController.checkDateAvailability
 );
 
+// Hold a seat while the form is being filled
+router.post(
+  '/bookings/hold',
+  holdValidationRules,
+  handleValidationErrors,
+  submissionController.createHold
+);
+
+// Release a held seat
+router.delete(
+  '/bookings/hold/:token',
+  submissionController.releaseHold
+);
+
+// List active tap events
+router.get(
+  '/events',
+  submissionController.getEvents
+);
+
+// List active Ayambil Shalas
+router.get(
+  '/shalas',
+  submissionController.getShalas
+);
+
 // Validate booking date
 router.post(
   '/bookings/validate',
@@ -41,13 +77,50 @@ router.post(
 );
 
 /**
- * Protected Routes (Admin only)
+ * Self-service Routes (verified by submission ID + WhatsApp number)
+ */
+
+// View own booking
+router.post(
+  '/self/:id/lookup',
+  selfServiceValidationRules,
+  handleValidationErrors,
+  submissionController.lookupOwnSubmission
+);
+
+// Download own booking receipt (PDF)
+router.post(
+  '/self/:id/receipt',
+  selfServiceValidationRules,
+  handleValidationErrors,
+  submissionController.getOwnSubmissionReceipt
+);
+
+// Cancel own booking
+router.post(
+  '/self/:id/cancel',
+  selfServiceValidationRules,
+  handleValidationErrors,
+  submissionController.cancelOwnSubmission
+);
+
+// Move own booking to another date
+router.post(
+  '/self/:id/reschedule',
+  rescheduleValidationRules,
+  handleValidationErrors,
+  submissionController.rescheduleOwnSubmission
+);
+
+/**
+ * Protected Routes (Admin users, by role permission)
  */
 
 // Get all submissions (with pagination and filters)
 router.get(
   '/',
   authenticateToken,
+  requirePermission('submissions:read'),
   submissionController.getAllSubmissions
 );
 
@@ -55,6 +128,7 @@ router.get(
 router.get(
   '/stats',
   authenticateToken,
+  requirePermission('submissions:read'),
   submissionController.getStatistics
 );
 
@@ -62,13 +136,88 @@ router.get(
 router.get(
   '/search',
   authenticateToken,
+  requirePermission('submissions:read'),
   submissionController.searchSubmissions
 );
 
+// List suspected duplicate bookings
+router.get(
+  '/duplicates',
+  authenticateToken,
+  requirePermission('submissions:read'),
+  submissionController.getSuspectedDuplicates
+);
+
+// Deleted submissions (trash)
+router.get(
+  '/trash',
+  authenticateToken,
+  requirePermission('submissions:read'),
+  submissionController.getTrash
+);
+
+// Restore a deleted submission
+router.post(
+  '/trash/:id/restore',
+  authenticateToken,
+  requirePermission('submissions:delete'),
+  submissionController.restoreSubmission
+);
+
+// Permanently delete a submission from the trash
+router.delete(
+  '/trash/:id',
+  authenticateToken,
+  requirePermission('submissions:delete'),
+  submissionController.purgeSubmission
+);
+
+// Bulk status change (by ID list or filter)
+router.post(
+  '/bulk/status',
+  authenticateToken,
+  requirePermission('submissions:update'),
+  bulkStatusValidationRules,
+  handleValidationErrors,
+  submissionController.bulkUpdateStatus
+);
+
+// Bulk date reassignment
+router.post(
+  '/bulk/reschedule',
+  authenticateToken,
+  requirePermission('submissions:update'),
+  bulkRescheduleValidationRules,
+  handleValidationErrors,
+  submissionController.bulkReschedule
+);
+
+// Bulk move to trash
+router.post(
+  '/bulk/delete',
+  authenticateToken,
+  requirePermission('submissions:delete'),
+  bulkSelectionValidationRules,
+  handleValidationErrors,
+  submissionController.bulkDelete
+);
+
+// Import submissions from an XLSX or CSV file (dryRun=true only reports)
+router.post(
+  '/import',
+  authenticateToken,
+  requirePermission('submissions:import'),
+  uploadImportFile,
+  submissionController.importSubmissions
+);
+
 // Export submissions
 router.get(
   '/export',
   authenticateToken,
+  requirePermission('submissions:export'),
+  exportValidationRules,
+  handleValidationErrors,
   submissionController.exportSubmissions
 );
 
@@ -76,22 +225,51 @@ router.get(
 router.get(
   '/:id',
   authenticateToken,
+  requirePermission('submissions:read'),
   submissionController.getSubmissionById
 );
 
+// Download the PDF booking receipt
+router.get(
+  '/:id/receipt',
+  authenticateToken,
+  requirePermission('submissions:read'),
+  submissionController.getSubmissionReceipt
+);
+
+// Version history of a submission
+router.get(
+  '/:id/versions',
+  authenticateToken,
+  requirePermission('submissions:read'),
+  submissionController.getSubmissionVersions
+);
+
+// Revert a submission to an earlier version
+router.post(
+  '/:id/versions/:version/revert',
+  authenticateToken,
+  requirePermission('submissions:update'),
+  revertValidationRules,
+  handleValidationErrors,
+  submissionController.revertSubmission
+);
+
 // Update submission
 router.put(
   '/:id',
   authenticateToken,
+  requirePermission('submissions:update'),
   updateSubmissionValidationRules,
   handleValidationErrors,
   submissionController.updateSubmission
 );
 
-// Delete submission
+// Move submission to trash
 router.delete(
   '/:id',
   authenticateToken,
+  requirePermission('submissions:delete'),
   submissionController.deleteSubmission
 );
 
@@ -13,6 +13,13 @@ const adminRoutes = require('./routes/admin.routes');
 const excelService = require('./services/excel.service');
 const backupService = require('./services/backup.service');
 const monitorService = require('./services/monitor.service');
+const holdService = require('./services/hold.service');
+const userService = require('./services/user.service');
+const tokenService = require('./services/token.service');
+const loginAttemptService = require('./services/loginAttempt.service');
+const exportService = require('./services/export.service');
+const auditService = require('./services/audit.service');
+const { parseTrustProxy } = require('./utils/helpers');
 
 // Initialize Express app
 const app = express();
@@ -20,6 +27,10 @@ const PORT = process.env.PORT || 5000;
 
 // ===== Middleware Setup =====
 
+// Client IPs (rate limits, seat holds, login lockouts) come from req.ip;
+// X-Forwarded-For is only believed from the proxies in TRUST_PROXY
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security headers
 app.use(helmet());
 
@@ -27,6 +38,7 @@ app.use(helmet());
 const corsOptions = {
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true,
+  exposedHeaders: ['ETag'],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -63,6 +75,17 @@ if (process.env.NODE_ENV === 'production') {
   app.use('/api/submissions', submissionLimiter);
 }
 
+// Self-service lookups are verified by WhatsApp number - limit guessing
+const selfServiceLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: {
+    success: false,
+    message: 'ખૂબ બધા પ્રયાસો. કૃપા કરીને થોડા સમય પછી પ્રયાસ કરો. (Too many attempts. Please try again later.)'
+  }
+});
+app.use('/api/submissions/self', selfServiceLimiter);
+
 // Request logging middleware (development only)
 if (process.env.NODE_ENV === 'development') {
   app.use((req, res, next) => {
@@ -86,21 +109,66 @@ app.get('/', (req, res) => {
     endpoints: {
       public: [
         'POST /api/submissions - Submit form',
+        'GET /api/submissions/shalas - List Ayambil Shalas',
+        'GET /api/submissions/events - List tap events',
+        'POST /api/submissions/bookings/hold - Hold a seat while filling the form',
+        'DELETE /api/submissions/bookings/hold/:token - Release a held seat',
+        'POST /api/submissions/self/:id/lookup - View own booking',
+        'POST /api/submissions/self/:id/receipt - Download own booking receipt (PDF)',
+        'POST /api/submissions/self/:id/cancel - Cancel own booking',
+        'POST /api/submissions/self/:id/reschedule - Move own booking to another date',
         'GET /api/admin/health - Health check'
       ],
       protected: [
         'POST /api/admin/login - Admin login',
+        'POST /api/admin/login/verify - Complete login with a two-factor code',
+        'POST /api/admin/refresh - Exchange refresh token for new tokens',
+        'POST /api/admin/logout - Sign out this session',
+        'POST /api/admin/logout-all - Sign out every session',
         'GET /api/submissions - Get all submissions',
         'GET /api/submissions/stats - Get statistics',
         'GET /api/submissions/search?q=query - Search submissions',
-        'GET /api/submissions/export - Export submissions',
+        'GET /api/submissions/duplicates - List suspected duplicate bookings',
+        'GET /api/submissions/export?format=xlsx|csv|json&fields= - Export submissions',
         'GET /api/submissions/:id - Get submission by ID',
+        'GET /api/submissions/:id/receipt - Download booking receipt (PDF)',
         'PUT /api/submissions/:id - Update submission',
-        'DELETE /api/submissions/:id - Delete submission',
+        'GET /api/submissions/:id/versions - Get submission version history',
+        'POST /api/submissions/:id/versions/:version/revert - Revert submission to a version',
+        'DELETE /api/submissions/:id - Move submission to trash',
+        'POST /api/submissions/bulk/status - Change status of many submissions',
+        'POST /api/submissions/bulk/reschedule - Move many submissions to a date',
+        'POST /api/submissions/bulk/delete - Move many submissions to trash',
+        'POST /api/submissions/import - Import submissions from XLSX/CSV (dryRun=true to validate only)',
+        'GET /api/submissions/trash - List deleted submissions',
+        'POST /api/submissions/trash/:id/restore - Restore deleted submission',
+        'DELETE /api/submissions/trash/:id - Permanently delete submission',
         'GET /api/admin/backups - List backups',
         'POST /api/admin/backups - Create backup',
         'POST /api/admin/backups/restore - Restore backup',
-        'POST /api/admin/archive - Archive old records'
+        'POST /api/admin/archive - Archive old records',
+        'GET /api/admin/audit - Query the audit trail',
+        'GET /api/admin/calendar - List calendar overrides',
+        'PUT /api/admin/calendar/:date - Set capacity or blackout for a date',
+        'DELETE /api/admin/calendar/:date - Remove calendar override',
+        'GET /api/admin/shalas - List shalas',
+        'POST /api/admin/shalas - Add shala',
+        'PUT /api/admin/shalas/:id - Update shala',
+        'DELETE /api/admin/shalas/:id - Remove shala',
+        'GET /api/admin/events - List events',
+        'POST /api/admin/events - Create event',
+        'PUT /api/admin/events/:id - Update event',
+        'DELETE /api/admin/events/:id - Delete event',
+        'GET /api/admin/me - Signed-in user and permissions',
+        'GET /api/admin/users - List admin users',
+        'POST /api/admin/users - Add admin user',
+        'PUT /api/admin/users/:id - Update role, status or password',
+        'DELETE /api/admin/users/:id - Remove admin user',
+        'DELETE /api/admin/users/:id/2fa - Reset two-factor login for a user',
+        'POST /api/admin/2fa/setup - Start two-factor enrolment',
+        'POST /api/admin/2fa/enable - Confirm two-factor enrolment',
+        'POST /api/admin/2fa/disable - Turn off two-factor login',
+        'POST /api/admin/2fa/backup-codes - Replace backup codes'
       ]
     }
   });
@@ -149,14 +217,36 @@ async function startServer() {
     console.log('  વિહાર રક્ષા તપ - Server Starting...  ');
     console.log('═══════════════════════════════════════════════════════');
 
-    // Initialize Excel file if it doesn't exist
-    console.log('\n📋 Checking Excel file...');
+    // Initialize data file if it doesn't exist
+    console.log(`\n📋 Checking data file (${process.env.STORAGE_BACKEND || 'excel'} storage)...`);
     await excelService.initializeFile();
 
+    // Create the first superadmin from environment credentials
+    await userService.ensureSeedUser();
+    await userService.checkTwoFactorKey();
+
     // Schedule automatic backups
     console.log('\n💾 Setting up backup system...');
     backupService.scheduleAutoBackup();
 
+    // Clear expired seat holds
+    holdService.scheduleCleanup();
+
+    // Clear expired refresh tokens and revocations
+    tokenService.scheduleCleanup();
+
+    // Purge old deleted submissions
+    excelService.scheduleTrashPurge();
+
+    // Clear stale failed-login counters
+    loginAttemptService.scheduleCleanup();
+
+    // Remove audit entries past their retention period
+    auditService.scheduleCleanup();
+
+    // Delete old files from the exports directory
+    exportService.scheduleCleanup();
+
     // Perform initial health check
     console.log('\n🏥 Performing health check...');
     const health = await monitorService.getHealthCheck();
@@ -0,0 +1,128 @@
+const cron = require('node-cron');
+const excelConfig = require('../config/excel.config');
+const storage = require('../storage');
+const { generateId } = require('../utils/helpers');
+const { getEventDateKey, isValidDateKey } = require('../utils/date');
+
+class AuditService {
+  /**
+   * Append an entry to the audit trail inside an open transaction
+   * so the entry is saved together with the change it describes
+   *
+   * @param {Object} tx - Storage session
+   * @param {Object} entry - { actor, action, targetId, before, after, ipAddress }
+   * @returns {Object} Saved entry
+   */
+  record(tx, { actor, action, targetId, before, after, ipAddress }) {
+    const entry = {
+      id: generateId('AUD'),
+      timestamp: new Date(),
+      actor: actor || 'system',
+      action,
+      targetId: targetId || null,
+      before: before ?? null,
+      after: after ?? null,
+      ipAddress: ipAddress || null
+    };
+
+    tx.insert('auditLog', entry);
+
+    return entry;
+  }
+
+  /**
+   * Append an entry to the audit trail in its own transaction
+   *
+   * @param {Object} entry - { actor, action, targetId, before, after, ipAddress }
+   * @returns {Promise<Object>} Saved entry
+   */
+  async log(entry) {
+    return await storage.transaction(async (tx) => this.record(tx, entry));
+  }
+
+  /**
+   * Query the audit trail, newest first
+   *
+   * @param {Object} filters - { actor, action, targetId, from, to }
+   *   action matches a prefix, so "submission." returns every submission change;
+   *   date-only from/to are whole days in the event time zone
+   * @returns {Promise<Array>} Matching entries
+   */
+  async query(filters = {}) {
+    const entries = await storage.getAll('auditLog');
+    const from = toBound(filters.from);
+    const to = toBound(filters.to);
+
+    return entries
+      .filter(entry => {
+        const timestamp = new Date(entry.timestamp);
+
+        if (filters.actor && entry.actor !== filters.actor) return false;
+        if (filters.action && !String(entry.action).startsWith(filters.action)) return false;
+        if (filters.targetId && entry.targetId !== filters.targetId) return false;
+        if (from && (from.dateKey ? getEventDateKey(timestamp) < from.dateKey : timestamp < from.date)) return false;
+        if (to && (to.dateKey ? getEventDateKey(timestamp) > to.dateKey : timestamp >= to.date)) return false;
+
+        return true;
+      })
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  /**
+   * Remove entries older than the retention period
+   *
+   * @param {number} retentionDays - Days to keep entries (0 keeps them all)
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purgeExpired(retentionDays = excelConfig.auditRetentionDays) {
+    if (!retentionDays) return 0;
+
+    return await storage.transaction(async (tx) => {
+      const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+      return tx.removeWhere('auditLog', entry => new Date(entry.timestamp).getTime() < cutoff).length;
+    });
+  }
+
+  /**
+   * Schedule the daily removal of old entries
+   */
+  scheduleCleanup() {
+    if (!excelConfig.auditRetentionDays) {
+      console.log('✓ Audit trail: entries are kept until removed by hand');
+      return;
+    }
+
+    cron.schedule('15 4 * * *', async () => {
+      try {
+        const removed = await this.purgeExpired();
+        if (removed > 0) {
+          console.log(`🗑️  Removed ${removed} old audit log row(s)`);
+        }
+      } catch (error) {
+        console.error('Audit cleanup failed:', error.message);
+      }
+    });
+
+    console.log(`✓ Audit trail: entries are kept for ${excelConfig.auditRetentionDays} days`);
+  }
+}
+
+/**
+ * Parse a from/to filter
+ *
+ * @param {string} value - Day key or ISO timestamp
+ * @returns {Object|null} { dateKey } for a whole day, { date } for an instant
+ */
+function toBound(value) {
+  if (!value) return null;
+  if (isValidDateKey(value)) return { dateKey: value };
+
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error('Invalid audit date filter');
+  }
+  return { date };
+}
+
+module.exports = new AuditService();
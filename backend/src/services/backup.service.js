@@ -2,16 +2,24 @@ const fs = require('fs').promises;
 const path = require('path');
 const cron = require('node-cron');
 const excelConfig = require('../config/excel.config');
+const storage = require('../storage');
+const auditService = require('./audit.service');
+
+// Sign-in data that a restore keeps as it is now: restoring an old backup must not
+// bring back deleted users, old passwords or two-factor secrets, revoked sessions
+// or cleared lockouts
+const PRESERVED_COLLECTIONS = ['adminUsers', 'refreshTokens', 'revokedTokens', 'loginAttempts'];
 
 class BackupService {
   constructor() {
     this.backupDir = excelConfig.backupDir;
     this.maxBackups = excelConfig.maxBackups;
-    this.filePath = excelConfig.excelFilePath;
+    this.filePath = storage.filePath;
+    this.fileExtension = storage.fileExtension;
   }
 
   /**
-   * Create backup of Excel file
+   * Create backup of the data file
    *
    * @returns {Promise<string>} Path to backup file
    */
@@ -24,7 +32,7 @@ class BackupService {
       try {
         await fs.access(this.filePath);
       } catch {
-        console.log('⚠️  Source Excel file does not exist yet. Skipping backup.');
+        console.log('⚠️  Source data file does not exist yet. Skipping backup.');
         return null;
       }
 
@@ -35,11 +43,11 @@ class BackupService {
         .replace(/\..+/, '')
         .replace(/:/g, '-');
 
-      const backupFileName = `submissions_backup_${timestamp}.xlsx`;
+      const backupFileName = `submissions_backup_${timestamp}${this.fileExtension}`;
       const backupPath = path.join(this.backupDir, backupFileName);
 
       // Copy file
-      await fs.copyFile(this.filePath, backupPath);
+      await storage.copyTo(backupPath);
 
       console.log(`✓ Backup created: ${backupFileName}`);
 
@@ -61,7 +69,7 @@ class BackupService {
       const files = await fs.readdir(this.backupDir);
 
       const backupFiles = files
-        .filter(f => f.startsWith('submissions_backup_') && f.endsWith('.xlsx'))
+        .filter(f => f.startsWith('submissions_backup_') && f.endsWith(this.fileExtension))
         .map(f => ({
           name: f,
           path: path.join(this.backupDir, f)
@@ -111,7 +119,7 @@ class BackupService {
       const files = await fs.readdir(this.backupDir);
 
       const backupFiles = files
-        .filter(f => f.startsWith('submissions_backup_') && f.endsWith('.xlsx'))
+        .filter(f => f.startsWith('submissions_backup_') && f.endsWith(this.fileExtension))
         .map(f => ({
           name: f,
           path: path.join(this.backupDir, f)
@@ -143,10 +151,14 @@ class BackupService {
   /**
    * Restore from backup file
    *
+   * The audit trail is append-only, so entries written after the backup was taken are kept.
+   * Admin users, sessions and login lockouts are not restored; the current ones are kept.
+   *
    * @param {string} backupFileName - Name of backup file to restore
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
    * @returns {Promise<Object>} Restore result
    */
-  async restoreFromBackup(backupFileName) {
+  async restoreFromBackup(backupFileName, audit = {}) {
     try {
       const backupPath = path.join(this.backupDir, backupFileName);
 
@@ -154,18 +166,45 @@ class BackupService {
       await fs.access(backupPath);
 
       // Create backup of current file before restoring
-      const corruptedFileName = `corrupted_${Date.now()}.xlsx`;
+      const corruptedFileName = `corrupted_${Date.now()}${this.fileExtension}`;
       const corruptedPath = path.join(this.backupDir, corruptedFileName);
 
       try {
-        await fs.copyFile(this.filePath, corruptedPath);
+        await storage.copyTo(corruptedPath);
         console.log(`✓ Current file backed up as: ${corruptedFileName}`);
       } catch {
         console.log('⚠️  No current file to backup');
       }
 
+      let auditTrail = [];
+      try {
+        auditTrail = await storage.getAll('auditLog');
+      } catch {
+        console.log('⚠️  Could not read the audit trail of the current file');
+      }
+
+      // Without the current sign-in data the restore would roll it back
+      const preserved = {};
+      for (const name of PRESERVED_COLLECTIONS) {
+        preserved[name] = await storage.getAll(name);
+      }
+
       // Restore from backup
-      await fs.copyFile(backupPath, this.filePath);
+      await storage.replaceWith(backupPath);
+
+      await storage.transaction(async (tx) => {
+        PRESERVED_COLLECTIONS.forEach(name => {
+          tx.removeWhere(name, () => true);
+          preserved[name].forEach(record => tx.insert(name, record));
+        });
+
+        const restoredIds = new Set(tx.getAll('auditLog').map(entry => entry.id));
+        auditTrail
+          .filter(entry => !restoredIds.has(entry.id))
+          .forEach(entry => tx.insert('auditLog', entry));
+
+        auditService.record(tx, { ...audit, action: 'backup.restore', after: { backupFile: backupFileName } });
+      });
 
       console.log(`✓ Restored from backup: ${backupFileName}`);
 
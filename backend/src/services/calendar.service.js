@@ -0,0 +1,112 @@
+const excelConfig = require('../config/excel.config');
+const storage = require('../storage');
+const auditService = require('./audit.service');
+const { toDateKey } = require('../utils/date');
+
+class CalendarService {
+  /**
+   * Get calendar overrides, optionally limited to a date range
+   *
+   * @param {Date|string} startDate - Optional start date (inclusive)
+   * @param {Date|string} endDate - Optional end date (inclusive)
+   * @returns {Promise<Array>} Overrides sorted by date
+   */
+  async getOverrides(startDate, endDate) {
+    const startKey = startDate ? toDateKey(startDate) : null;
+    const endKey = endDate ? toDateKey(endDate) : null;
+
+    const overrides = (await storage.getAll('calendar')).filter(override => {
+      if (startKey && override.id < startKey) return false;
+      if (endKey && override.id > endKey) return false;
+      return true;
+    });
+
+    return overrides
+      .map(override => ({ date: override.id, ...override }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Create or replace the override for a date
+   *
+   * @param {Date|string} date - Date to override
+   * @param {Object} override - { capacity, blackout, note }
+   * @param {string} updatedBy - Admin username
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Saved override
+   */
+  async setOverride(date, { capacity, blackout, note }, updatedBy, audit = {}) {
+    const id = toDateKey(date);
+
+    return await storage.transaction(async (tx) => {
+      const before = tx.find('calendar', id);
+      const record = {
+        id,
+        capacity: capacity !== undefined && capacity !== null ? parseInt(capacity) : null,
+        blackout: blackout === true || blackout === 'true',
+        note: note || null,
+        updatedAt: new Date(),
+        updatedBy: updatedBy || null
+      };
+
+      if (!tx.update('calendar', id, record)) {
+        tx.insert('calendar', record);
+      }
+
+      auditService.record(tx, { ...audit, action: 'calendar.set', targetId: id, before, after: record });
+
+      return { date: id, ...record };
+    });
+  }
+
+  /**
+   * Remove the override for a date (the default capacity applies again)
+   *
+   * @param {Date|string} date - Date
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteOverride(date, audit = {}) {
+    const id = toDateKey(date);
+
+    return await storage.transaction(async (tx) => {
+      const before = tx.find('calendar', id);
+
+      if (!before || !tx.remove('calendar', id)) {
+        throw new Error('Calendar entry not found');
+      }
+
+      auditService.record(tx, { ...audit, action: 'calendar.delete', targetId: id, before });
+
+      return {
+        success: true,
+        message: `Calendar entry for ${id} removed`
+      };
+    });
+  }
+
+  /**
+   * Get the effective capacity of a day
+   * Blackout days have no capacity; otherwise an override replaces the default
+   *
+   * @param {Array} overrides - Calendar records
+   * @param {string} dateKey - YYYY-MM-DD day key
+   * @param {number} defaultCapacity - Capacity when the day has no override
+   * @returns {Object} { capacity, blackout }
+   */
+  getEffectiveCapacity(overrides, dateKey, defaultCapacity = excelConfig.maxBookingsPerDay) {
+    const override = overrides.find(o => o.id === dateKey);
+
+    if (override && override.blackout) {
+      return { capacity: 0, blackout: true };
+    }
+
+    if (override && override.capacity !== null) {
+      return { capacity: override.capacity, blackout: false };
+    }
+
+    return { capacity: defaultCapacity, blackout: false };
+  }
+}
+
+module.exports = new CalendarService();
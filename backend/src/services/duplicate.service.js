@@ -0,0 +1,211 @@
+const excelConfig = require('../config/excel.config');
+const storage = require('../storage');
+const { toDateKey, addDays, daysBetween } = require('../utils/date');
+
+// Statuses that no longer count as a booking
+const IGNORED_STATUSES = ['archived', 'cancelled'];
+
+class DuplicateService {
+  constructor() {
+    this.policy = excelConfig.duplicatePolicy;
+  }
+
+  /**
+   * Check a new booking against existing submissions
+   *
+   * The days of one multi-day booking (same parentId) count as one booking
+   *
+   * @param {Array} submissions - Existing submission records
+   * @param {Object} candidate - { whatsappNumber, upiNumber, bookingDate, parentId }
+   * @returns {Object|null} { reason, field, matches, bookings } or null if not a duplicate
+   */
+  checkSubmission(submissions, candidate) {
+    if (this.policy.mode === 'allow' || !candidate.bookingDate) return null;
+
+    const dateKey = toDateKey(candidate.bookingDate);
+
+    for (const field of this.policy.matchFields) {
+      const number = normalizeNumber(candidate[field]);
+      if (!number) continue;
+
+      const bookings = submissions.filter(submission => {
+        return isCounted(submission) &&
+          normalizeNumber(submission[field]) === number &&
+          !(candidate.parentId && submission.parentId === candidate.parentId);
+      });
+
+      const sameDate = bookings.filter(submission => toDateKey(submission.bookingDate) === dateKey);
+      if (sameDate.length > 0) {
+        return { reason: 'same_date', field, matches: sameDate.map(s => s.id) };
+      }
+
+      // Every window of windowDays that contains the new date
+      for (let offset = 0; offset < this.policy.windowDays; offset++) {
+        const windowEnd = addDays(dateKey, offset);
+        const windowStart = addDays(windowEnd, 1 - this.policy.windowDays);
+
+        const inWindow = bookings.filter(submission => {
+          const key = toDateKey(submission.bookingDate);
+          return key >= windowStart && key <= windowEnd;
+        });
+
+        const count = countBookings(inWindow);
+        if (count >= this.policy.maxBookingsPerWindow) {
+          return { reason: 'window', field, matches: inWindow.map(s => s.id), bookings: count };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe a duplicate for the submission's review flag
+   *
+   * @param {Object} duplicate - Result of checkSubmission
+   * @returns {string} Review flag text
+   */
+  toReviewFlag(duplicate) {
+    return `duplicate:${duplicate.reason}:${duplicate.field} (${duplicate.matches.join(', ')})`;
+  }
+
+  /**
+   * Failure response for a rejected duplicate
+   *
+   * @param {Object} duplicate - Result of checkSubmission
+   * @returns {Object} Failure response
+   */
+  rejectionResponse(duplicate) {
+    if (duplicate.reason === 'same_date') {
+      return {
+        success: false,
+        duplicate: true,
+        message: 'A booking with this number already exists for this date',
+        messageGu: 'આ નંબરથી આ તારીખ માટે બુકિંગ પહેલેથી અસ્તિત્વમાં છે'
+      };
+    }
+
+    return {
+      success: false,
+      duplicate: true,
+      message: `This number already has ${duplicate.bookings} booking(s) within ${this.policy.windowDays} days`,
+      messageGu: `આ નંબરથી ${this.policy.windowDays} દિવસમાં પહેલેથી ${duplicate.bookings} બુકિંગ છે`
+    };
+  }
+
+  /**
+   * Find groups of existing submissions that look like duplicates
+   * A group is either several bookings of one number on the same date, or more
+   * than maxBookingsPerWindow bookings of one number within windowDays.
+   * The days of one multi-day booking are never a duplicate of each other.
+   *
+   * @returns {Promise<Array>} Groups of { reason, field, number, dates, submissions }
+   */
+  async findSuspectedDuplicates() {
+    const submissions = (await storage.getAll('submissions')).filter(isCounted);
+    const groups = [];
+
+    this.policy.matchFields.forEach(field => {
+      const byNumber = new Map();
+
+      submissions.forEach(submission => {
+        const number = normalizeNumber(submission[field]);
+        if (!number) return;
+        if (!byNumber.has(number)) byNumber.set(number, []);
+        byNumber.get(number).push(submission);
+      });
+
+      byNumber.forEach((bookings, number) => {
+        if (bookings.length < 2) return;
+
+        bookings.sort((a, b) => toDateKey(a.bookingDate).localeCompare(toDateKey(b.bookingDate)));
+
+        // Same number, same date
+        const byDate = new Map();
+        bookings.forEach(submission => {
+          const dateKey = toDateKey(submission.bookingDate);
+          if (!byDate.has(dateKey)) byDate.set(dateKey, []);
+          byDate.get(dateKey).push(submission);
+        });
+
+        byDate.forEach((sameDate, dateKey) => {
+          if (countBookings(sameDate) > 1) {
+            groups.push({ reason: 'same_date', field, number, dates: [dateKey], submissions: sameDate });
+          }
+        });
+
+        // Same number, too many bookings in a rolling window
+        let start = 0;
+        let groupStart = -1;
+        let groupEnd = -1;
+        for (let end = 0; end < bookings.length; end++) {
+          const endKey = toDateKey(bookings[end].bookingDate);
+          while (daysBetween(toDateKey(bookings[start].bookingDate), endKey) >= this.policy.windowDays) {
+            start++;
+          }
+
+          const inWindow = bookings.slice(start, end + 1);
+          const dates = [...new Set(inWindow.map(s => toDateKey(s.bookingDate)))];
+
+          if (countBookings(inWindow) > this.policy.maxBookingsPerWindow && dates.length > 1) {
+            // Extend the previous group instead of reporting overlapping windows
+            if (groupEnd >= start) {
+              groups.pop();
+            } else {
+              groupStart = start;
+            }
+            groupEnd = end;
+            groups.push(windowGroup(field, number, bookings.slice(groupStart, groupEnd + 1)));
+          }
+        }
+      });
+    });
+
+    return groups;
+  }
+}
+
+/**
+ * Normalize a phone or UPI number for comparison
+ *
+ * @param {string} value - Number as entered
+ * @returns {string} Digits only (empty if none)
+ */
+function normalizeNumber(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Whether a submission counts as an existing booking
+ *
+ * @param {Object} submission - Submission record
+ * @returns {boolean} True if booked and not archived, cancelled or deleted
+ */
+function isCounted(submission) {
+  return Boolean(submission.bookingDate) && !submission.deletedAt && !IGNORED_STATUSES.includes(submission.status);
+}
+
+/**
+ * Count separate bookings, taking the days of a multi-day booking as one
+ *
+ * @param {Array} submissions - Submission records
+ * @returns {number} Number of bookings
+ */
+function countBookings(submissions) {
+  return new Set(submissions.map(submission => submission.parentId || submission.id)).size;
+}
+
+/**
+ * Build a rolling window duplicate group
+ */
+function windowGroup(field, number, bookings) {
+  return {
+    reason: 'window',
+    field,
+    number,
+    dates: [...new Set(bookings.map(s => toDateKey(s.bookingDate)))],
+    submissions: bookings
+  };
+}
+
+module.exports = new DuplicateService();
@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer');
 const emailConfig = require('../config/email.config');
+const { toBookingDate } = require('../utils/date');
 
 class EmailService {
   constructor() {
@@ -27,10 +28,11 @@ class EmailService {
   /**
    * Send submission confirmation email
    *
-   * @param {Object} data - Submission data
+   * @param {Object} data - Submission data with submissionDate and bookings [{ bookingDate, status }]
+   * @param {Object|null} receipt - PDF receipt to attach { filename, content }
    * @returns {Promise<Object>} Send result
    */
-  async sendSubmissionConfirmation(data) {
+  async sendSubmissionConfirmation(data, receipt = null) {
     if (!this.enabled || !data.email) {
       return {
         success: false,
@@ -46,6 +48,10 @@ class EmailService {
         html: this.generateSubmissionEmailHTML(data)
       };
 
+      if (receipt) {
+        mailOptions.attachments = [{ ...receipt, contentType: 'application/pdf' }];
+      }
+
       const info = await this.transporter.sendMail(mailOptions);
 
       console.log('✓ Email sent:', info.messageId);
@@ -178,8 +184,14 @@ class EmailService {
       </div>
       ` : ''}
 
+      ${(data.bookings || []).map(booking => `
+      <div class="detail-row">
+        <span class="detail-label">બુકિંગ તારીખ / Booking Date:</span> ${formatBookingDate(booking.bookingDate)}${booking.status === 'waitlisted' ? ' (પ્રતીક્ષા યાદી / Waitlisted)' : ''}
+      </div>
+      `).join('')}
+
       <div class="detail-row">
-        <span class="detail-label">સબમિશન તારીખ / Submission Date:</span> ${new Date(data.date).toLocaleString('en-IN')}
+        <span class="detail-label">સબમિશન તારીખ / Submission Date:</span> ${new Date(data.submissionDate).toLocaleString('en-IN')}
       </div>
     </div>
 
@@ -200,6 +212,56 @@ class EmailService {
     `.trim();
   }
 
+  /**
+   * Notify a waitlisted devotee that their booking has been confirmed
+   *
+   * @param {Object} data - Submission data
+   * @returns {Promise<Object>} Send result
+   */
+  async sendWaitlistPromotion(data) {
+    if (!this.enabled || !data.email) {
+      return {
+        success: false,
+        message: 'Email service is disabled or no email provided'
+      };
+    }
+
+    try {
+      const bookingDate = formatBookingDate(data.bookingDate);
+
+      const mailOptions = {
+        from: emailConfig.from,
+        to: data.email,
+        subject: emailConfig.templates.waitlistPromotion.gujaratiSubject,
+        html: `
+          <h2>🙏 વિહાર રક્ષા તપ</h2>
+          <p>તમારું બુકિંગ પ્રતીક્ષા યાદીમાંથી કન્ફર્મ થયું છે.</p>
+          <p>Your booking has been confirmed from the waitlist.</p>
+          <p><strong>Submission ID:</strong> ${data.id}</p>
+          <p><strong>નામ / Name:</strong> ${data.name}</p>
+          <p><strong>આયંબિલ શાળા / Ayambil Shala:</strong> ${data.ayambilShalaName || 'N/A'}</p>
+          <p><strong>બુકિંગ તારીખ / Booking Date:</strong> ${bookingDate}</p>
+          <p>જય જિનેન્દ્ર! 🙏</p>
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      console.log('✓ Waitlist promotion email sent:', info.messageId);
+
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error('❌ Waitlist promotion email failed:', error.message);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  }
+
   /**
    * Send admin notification email
    *
@@ -241,6 +303,57 @@ class EmailService {
       };
     }
   }
+
+  /**
+   * Notify admins that an admin account was locked after failed logins
+   *
+   * @param {Object} data - { username, ipAddress, failures, lockedUntil }
+   * @returns {Promise<Object>} Send result
+   */
+  async sendLockoutNotification(data) {
+    if (!this.enabled) {
+      return { success: false, message: 'Email service is disabled' };
+    }
+
+    try {
+      const mailOptions = {
+        from: emailConfig.from,
+        to: process.env.ADMIN_EMAIL || emailConfig.from,
+        subject: `Admin account locked - ${data.username}`,
+        html: `
+          <h2>Admin Account Locked</h2>
+          <p>The admin account <strong>${data.username}</strong> was locked after ${data.failures} failed login attempts.</p>
+          <p><strong>Last attempt from:</strong> ${data.ipAddress}</p>
+          <p><strong>Locked until:</strong> ${new Date(data.lockedUntil).toLocaleString()}</p>
+          <p>If these attempts were not made by the account owner, consider changing its password.</p>
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error('Lockout notification failed:', error.message);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  }
+}
+
+/**
+ * Format a booking date for an email
+ * Booking dates are stored as UTC midnight of the booked day
+ *
+ * @param {Date|string} value - Booking date
+ * @returns {string} Date as shown in India
+ */
+function formatBookingDate(value) {
+  return toBookingDate(value).toLocaleDateString('en-IN', { timeZone: 'UTC' });
 }
 
 module.exports = new EmailService();
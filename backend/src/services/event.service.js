@@ -0,0 +1,191 @@
+const storage = require('../storage');
+const auditService = require('./audit.service');
+const { generateId } = require('../utils/helpers');
+const { toDateKey, toBookingDate } = require('../utils/date');
+
+class EventService {
+  /**
+   * Get all events
+   *
+   * @param {boolean} activeOnly - Only return active events
+   * @returns {Promise<Array>} Events sorted by start date
+   */
+  async listEvents(activeOnly = false) {
+    const events = await storage.getAll('events');
+
+    return events
+      .filter(event => !activeOnly || event.active)
+      .sort((a, b) => toDateKey(a.startDate).localeCompare(toDateKey(b.startDate)));
+  }
+
+  /**
+   * Get event by ID
+   *
+   * @param {string} id - Event ID
+   * @returns {Promise<Object|null>} Event or null
+   */
+  async getEventById(id) {
+    return await storage.transaction(async (tx) => tx.find('events', id));
+  }
+
+  /**
+   * Create an event
+   *
+   * @param {Object} data - { name, startDate, endDate, maxBookingsPerDay, active }
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Created event
+   */
+  async createEvent(data, audit = {}) {
+    return await storage.transaction(async (tx) => {
+      const event = {
+        id: generateId('EVT'),
+        name: data.name,
+        startDate: toBookingDate(data.startDate),
+        endDate: toBookingDate(data.endDate),
+        maxBookingsPerDay: data.maxBookingsPerDay !== undefined ? parseInt(data.maxBookingsPerDay) : null,
+        active: data.active === undefined ? true : data.active === true || data.active === 'true',
+        createdAt: new Date()
+      };
+
+      tx.insert('events', event);
+      auditService.record(tx, { ...audit, action: 'event.create', targetId: event.id, after: event });
+
+      return event;
+    });
+  }
+
+  /**
+   * Update an event
+   *
+   * @param {string} id - Event ID
+   * @param {Object} updates - Fields to update
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Updated event
+   */
+  async updateEvent(id, updates, audit = {}) {
+    return await storage.transaction(async (tx) => {
+      const existing = tx.find('events', id);
+
+      if (!existing) {
+        throw new Error('Event not found');
+      }
+
+      const changes = {};
+      if (updates.name) changes.name = updates.name;
+      if (updates.startDate) changes.startDate = toBookingDate(updates.startDate);
+      if (updates.endDate) changes.endDate = toBookingDate(updates.endDate);
+      if (updates.maxBookingsPerDay !== undefined) changes.maxBookingsPerDay = updates.maxBookingsPerDay;
+      if (updates.active !== undefined) changes.active = updates.active === true || updates.active === 'true';
+
+      const startKey = toDateKey(changes.startDate || existing.startDate);
+      const endKey = toDateKey(changes.endDate || existing.endDate);
+
+      if (endKey < startKey) {
+        throw new Error('Event end date must not be before its start date');
+      }
+
+      const event = tx.update('events', id, changes);
+      auditService.record(tx, { ...audit, action: 'event.update', targetId: id, before: existing, after: event });
+
+      return event;
+    });
+  }
+
+  /**
+   * Delete an event
+   * Existing bookings keep their event ID
+   *
+   * @param {string} id - Event ID
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteEvent(id, audit = {}) {
+    return await storage.transaction(async (tx) => {
+      const before = tx.find('events', id);
+
+      if (!before || !tx.remove('events', id)) {
+        throw new Error('Event not found');
+      }
+
+      auditService.record(tx, { ...audit, action: 'event.delete', targetId: id, before });
+
+      return {
+        success: true,
+        message: 'Event deleted successfully'
+      };
+    });
+  }
+
+  /**
+   * Whether a day falls inside an event's booking window
+   *
+   * @param {Object} event - Event record
+   * @param {string} dateKey - YYYY-MM-DD day key
+   * @returns {boolean} True if the day is within the event dates
+   */
+  isWithinEvent(event, dateKey) {
+    return dateKey >= toDateKey(event.startDate) && dateKey <= toDateKey(event.endDate);
+  }
+
+  /**
+   * Find the active event running on a day
+   * When events overlap, the one that started most recently wins
+   *
+   * @param {Array} events - Event records
+   * @param {string} dateKey - YYYY-MM-DD day key
+   * @returns {Object|null} Event or null
+   */
+  findEventForDate(events, dateKey) {
+    return events
+      .filter(event => event.active && this.isWithinEvent(event, dateKey))
+      .sort((a, b) => toDateKey(b.startDate).localeCompare(toDateKey(a.startDate)))[0] || null;
+  }
+
+  /**
+   * Resolve the event a booking day belongs to
+   * Without events configured, bookings are not tied to any event
+   *
+   * @param {Array} events - Event records
+   * @param {string|null} eventId - Event chosen on the form (optional)
+   * @param {string} dateKey - YYYY-MM-DD day key
+   * @returns {Object} { event } or { error, errorGu } when the day is outside every event
+   */
+  resolveEvent(events, eventId, dateKey) {
+    if (eventId) {
+      const event = events.find(e => e.id === eventId);
+
+      if (!event || !event.active) {
+        return {
+          error: 'Selected event is not available',
+          errorGu: 'પસંદ કરેલ તપ કાર્યક્રમ ઉપલબ્ધ નથી'
+        };
+      }
+
+      if (dateKey && !this.isWithinEvent(event, dateKey)) {
+        return {
+          error: `${event.name} runs from ${toDateKey(event.startDate)} to ${toDateKey(event.endDate)}`,
+          errorGu: `${event.name} ${toDateKey(event.startDate)} થી ${toDateKey(event.endDate)} સુધી છે`
+        };
+      }
+
+      return { event };
+    }
+
+    if (!dateKey || events.length === 0) {
+      return { event: null };
+    }
+
+    const event = this.findEventForDate(events, dateKey);
+
+    if (!event) {
+      return {
+        error: 'No tap event is open for bookings on this date',
+        errorGu: 'આ તારીખે કોઈ તપ કાર્યક્રમ માટે બુકિંગ ખુલ્લું નથી'
+      };
+    }
+
+    return { event };
+  }
+}
+
+module.exports = new EventService();
@@ -1,127 +1,296 @@
-const ExcelJS = require('exceljs');
 const fs = require('fs').promises;
-const path = require('path');
+const cron = require('node-cron');
 const excelConfig = require('../config/excel.config');
-const { withFileLock } = require('../middleware/fileLock.middleware');
+const storage = require('../storage');
+const calendarService = require('./calendar.service');
+const shalaService = require('./shala.service');
+const emailService = require('./email.service');
+const auditService = require('./audit.service');
+const versionService = require('./version.service');
+const duplicateService = require('./duplicate.service');
+const policyService = require('./policy.service');
+const eventService = require('./event.service');
 const { generateSubmissionId } = require('../utils/helpers');
+const { toDateKey, getEventDateKey, toBookingDate, addDays, eachDateKey } = require('../utils/date');
 
 class ExcelService {
   constructor() {
-    this.filePath = excelConfig.excelFilePath;
+    this.storage = storage;
+    this.filePath = storage.filePath;
     this.columns = excelConfig.columns;
   }
 
   /**
-   * Initialize Excel file with proper structure
+   * Initialize the data file with proper structure
    * Creates the file if it doesn't exist
    */
   async initializeFile() {
-    try {
-      // Check if file already exists
-      try {
-        await fs.access(this.filePath);
-        console.log('✓ Excel file already exists');
-        return;
-      } catch {
-        // File doesn't exist, create it
+    await this.storage.initialize();
+  }
+
+  /**
+   * Add new submission
+   * The booking date is validated inside the write lock, so concurrent
+   * submissions cannot push a date past its capacity
+   *
+   * When data.waitlist is set and the date is fully booked, the submission is
+   * stored as 'waitlisted' instead of being rejected
+   *
+   * Bookings from a number that already booked the same date or too many dates
+   * nearby are rejected, flagged for review or allowed per the duplicate policy
+   *
+   * Several days can be booked at once with bookingDates or a date range
+   *
+   * Seats reserved with a hold token (data.holdToken) are handed over to this submission
+   * when the hold is still live and is for one of its days at its shala
+   *
+   * @param {Object} data - Submission data
+   * @returns {Promise<Object>} Created submission with ID, or success: false if the date is unavailable
+   */
+  async addSubmission(data) {
+    return await this.storage.transaction(async (tx) => {
+      const snapshot = this.getBookingSnapshot(tx);
+
+      // Link the booking to the shala master list when it matches
+      const shala = shalaService.resolveShala(snapshot.shalas, data);
+
+      // Also refuses a booking that names an inactive shala instead of choosing it
+      if ((data.shalaId && !shala) || (shala && !shala.active)) {
+        return shalaUnavailableResponse();
       }
 
-      const workbook = new ExcelJS.Workbook();
+      const bookingDates = this.getRequestedDates(data);
 
-      // Sheet 1: Submissions
-      const submissionsSheet = workbook.addWorksheet('Submissions');
-      submissionsSheet.columns = this.columns;
+      // Seats held for this submission are not counted against it
+      const ownHolds = selectOwnHolds(snapshot, [].concat(data.holdToken || []), bookingDates, shala);
+      snapshot.holds = snapshot.holds.filter(hold => !ownHolds.includes(hold));
 
-      // Style header row
-      submissionsSheet.getRow(1).font = { bold: true, size: 11 };
-      submissionsSheet.getRow(1).fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: { argb: 'FFE0E0E0' }
-      };
-      submissionsSheet.getRow(1).alignment = { vertical: 'middle', horizontal: 'center' };
-
-      // Sheet 2: Summary (for analytics)
-      const summarySheet = workbook.addWorksheet('Summary');
-      summarySheet.columns = [
-        { header: 'Metric', key: 'metric', width: 30 },
-        { header: 'Value', key: 'value', width: 20 }
-      ];
-
-      summarySheet.addRow({ metric: 'Total Submissions', value: 0 });
-      summarySheet.addRow({ metric: 'Last Updated', value: new Date().toISOString() });
-
-      summarySheet.getRow(1).font = { bold: true };
-
-      // Save file
-      await workbook.xlsx.writeFile(this.filePath);
-      console.log('✓ Excel file initialized successfully at:', this.filePath);
-    } catch (error) {
-      console.error('Error initializing Excel file:', error);
-      throw error;
-    }
+      const result = bookingDates.length > 1
+        ? this.addMultiDaySubmission(tx, snapshot, shala, data, bookingDates)
+        : this.addSingleDaySubmission(tx, snapshot, shala, data, data.bookingDate || bookingDates[0]);
+
+      // The holds of the stored days are used up
+      if (result.success) {
+        const bookedDates = [].concat(result.data).map(submission => toDateKey(submission.bookingDate));
+
+        ownHolds
+          .filter(hold => bookedDates.includes(toDateKey(hold.bookingDate)))
+          .forEach(hold => tx.update('holds', hold.id, { releasedAt: new Date() }));
+      }
+
+      return result;
+    });
   }
 
   /**
-   * Add new submission to Excel file
+   * Book a single day
    *
+   * @param {Object} tx - Storage session
+   * @param {Object} snapshot - Booking snapshot
+   * @param {Object|null} shala - Resolved shala
    * @param {Object} data - Submission data
-   * @returns {Promise<Object>} Created submission with ID
+   * @param {Date|string|undefined} bookingDate - Day to book
+   * @returns {Object} Created submission, or success: false if the day is unavailable
    */
-  async addSubmission(data) {
-    return await withFileLock(async () => {
-      const workbook = new ExcelJS.Workbook();
-      await workbook.xlsx.readFile(this.filePath);
-      const worksheet = workbook.getWorksheet('Submissions');
+  addSingleDaySubmission(tx, snapshot, shala, data, bookingDate) {
+    // Capacity is counted and enforced under the same lock as the insert
+    const plan = this.planBookingDay(snapshot, shala, data, bookingDate);
 
-      const id = generateSubmissionId();
-      const submissionData = {
-        id,
-        submissionDate: new Date(),
-        bookingDate: data.bookingDate ? new Date(data.bookingDate) : null,
-        name: data.name,
-        upiNumber: data.upiNumber,
-        whatsappNumber: data.whatsappNumber,
-        ayambilShalaName: data.ayambilShalaName,
-        city: data.city,
-        status: 'pending',
-        ipAddress: data.ipAddress || ''
-      };
+    if (plan.failure) {
+      return plan.failure;
+    }
 
-      // Add a new row with values in correct column order
-      worksheet.addRow([
-        submissionData.id,                 // Column 1: ID
-        submissionData.submissionDate,      // Column 2: Submission Date
-        submissionData.bookingDate,         // Column 3: Booking Date
-        submissionData.name,                // Column 4: Name
-        submissionData.upiNumber,           // Column 5: UPI Number
-        submissionData.whatsappNumber,      // Column 6: WhatsApp Number
-        submissionData.ayambilShalaName,    // Column 7: Ayambil Shala Name
-        submissionData.city,                // Column 8: City
-        submissionData.status,              // Column 9: Status
-        submissionData.ipAddress            // Column 10: IP Address
-      ]);
-
-      // Update summary
-      const summarySheet = workbook.getWorksheet('Summary');
-      if (summarySheet) {
-        const totalRow = summarySheet.getRow(2);
-        const currentTotal = totalRow.getCell(2).value || 0;
-        totalRow.getCell(2).value = parseInt(currentTotal) + 1;
-
-        const lastUpdatedRow = summarySheet.getRow(3);
-        lastUpdatedRow.getCell(2).value = new Date().toISOString();
-      }
+    const submissionData = this.buildSubmission(data, shala, plan);
+    const id = submissionData.id;
 
-      await workbook.xlsx.writeFile(this.filePath);
+    tx.insert('submissions', submissionData);
+
+    if (plan.status === 'waitlisted') {
+      const waitlist = this.getWaitlist(tx.getAll('submissions'), snapshot.shalas, submissionData.bookingDate, submissionData.shalaId);
 
       return {
         success: true,
         id,
-        message: 'તમારો ફોર્મ સફળતાપૂર્વક સબમિટ થયો છે (Your form has been submitted successfully)',
+        waitlisted: true,
+        waitlistPosition: waitlist.findIndex(s => s.id === id) + 1,
+        message: 'તારીખ સંપૂર્ણ બુક છે, તમને પ્રતીક્ષા યાદીમાં ઉમેરવામાં આવ્યા છે (The date is fully booked, you have been added to the waitlist)',
         data: submissionData
       };
+    }
+
+    return {
+      success: true,
+      id,
+      message: 'તમારો ફોર્મ સફળતાપૂર્વક સબમિટ થયો છે (Your form has been submitted successfully)',
+      data: submissionData
+    };
+  }
+
+  /**
+   * Book several days in one submission
+   * Every day is validated under the same lock and stored as its own row,
+   * linked to the others by a shared parentId
+   *
+   * Unless data.allowPartial is set, nothing is stored when any day is unavailable
+   *
+   * @param {Object} tx - Storage session
+   * @param {Object} snapshot - Booking snapshot
+   * @param {Object|null} shala - Resolved shala
+   * @param {Object} data - Submission data
+   * @param {Array<string>} bookingDates - YYYY-MM-DD day keys
+   * @returns {Object} Created bookings and unavailable days, or success: false
+   */
+  addMultiDaySubmission(tx, snapshot, shala, data, bookingDates) {
+    const plans = bookingDates.map(bookingDate => this.planBookingDay(snapshot, shala, data, bookingDate));
+
+    const unavailableDates = plans
+      .filter(plan => plan.failure)
+      .map(plan => ({
+        date: plan.bookingDate,
+        message: plan.failure.message,
+        messageGu: plan.failure.messageGu,
+        canWaitlist: Boolean(plan.failure.canWaitlist),
+        duplicate: Boolean(plan.failure.duplicate)
+      }));
+
+    const available = plans.filter(plan => !plan.failure);
+
+    if (available.length === 0 || (unavailableDates.length > 0 && !data.allowPartial)) {
+      return {
+        success: false,
+        message: 'Some of the selected dates are not available',
+        messageGu: 'પસંદ કરેલી કેટલીક તારીખો ઉપલબ્ધ નથી',
+        unavailableDates
+      };
+    }
+
+    const parentId = generateSubmissionId();
+    const bookings = available.map(plan => {
+      const submissionData = this.buildSubmission(data, shala, plan, parentId);
+      tx.insert('submissions', submissionData);
+      return submissionData;
     });
+
+    return {
+      success: true,
+      id: parentId,
+      parentId,
+      message: 'તમારો ફોર્મ સફળતાપૂર્વક સબમિટ થયો છે (Your form has been submitted successfully)',
+      data: bookings,
+      unavailableDates
+    };
+  }
+
+  /**
+   * Get the days a submission asks for
+   * Accepts a list (bookingDates), a range (bookingDateFrom/bookingDateTo) or a single bookingDate
+   *
+   * @param {Object} data - Submission data
+   * @returns {Array<string>} Sorted, unique YYYY-MM-DD day keys (empty if no date was given)
+   */
+  getRequestedDates(data) {
+    let dates = [];
+
+    if (Array.isArray(data.bookingDates) && data.bookingDates.length > 0) {
+      // Days that do not exist are kept as given so planning rejects them
+      dates = data.bookingDates.map(date => toDateKey(date) || String(date));
+    } else if (data.bookingDateFrom && data.bookingDateTo) {
+      dates = eachDateKey(toDateKey(data.bookingDateFrom), toDateKey(data.bookingDateTo), excelConfig.maxDaysPerSubmission);
+    } else if (data.bookingDate) {
+      dates = [toDateKey(data.bookingDate)];
+    }
+
+    return [...new Set(dates)].sort();
+  }
+
+  /**
+   * Decide how a booking for one day is stored
+   * Applies event, capacity, waitlist and duplicate rules
+   *
+   * @param {Object} snapshot - Booking snapshot
+   * @param {Object|null} shala - Resolved shala
+   * @param {Object} data - Submission data
+   * @param {Date|string|undefined} bookingDate - Day to book
+   * @returns {Object} { bookingDate, status, reviewFlag, eventId }, or { bookingDate, failure } if the day cannot be booked
+   */
+  planBookingDay(snapshot, shala, data, bookingDate) {
+    let status = 'pending';
+
+    // Every booking belongs to the event running on its date
+    const { event, error, errorGu } = eventService.resolveEvent(snapshot.events, data.eventId, toDateKey(bookingDate));
+
+    if (error) {
+      return {
+        bookingDate,
+        failure: {
+          success: false,
+          message: error,
+          messageGu: errorGu
+        }
+      };
+    }
+
+    if (bookingDate) {
+      const validation = this.checkBookingDate(snapshot, bookingDate, shala?.id || null);
+
+      if (!validation.valid && validation.fullyBooked && data.waitlist) {
+        status = 'waitlisted';
+      } else if (!validation.valid) {
+        return {
+          bookingDate,
+          failure: {
+            success: false,
+            message: validation.error,
+            messageGu: validation.errorGu,
+            nextAvailableDate: validation.nextAvailableDate,
+            canWaitlist: Boolean(validation.fullyBooked)
+          }
+        };
+      }
+    }
+
+    const duplicate = duplicateService.checkSubmission(snapshot.submissions, { ...data, bookingDate });
+
+    if (duplicate && excelConfig.duplicatePolicy.mode === 'reject') {
+      return { bookingDate, failure: duplicateService.rejectionResponse(duplicate) };
+    }
+
+    return {
+      bookingDate,
+      status,
+      reviewFlag: duplicate ? duplicateService.toReviewFlag(duplicate) : null,
+      eventId: event ? event.id : null
+    };
+  }
+
+  /**
+   * Build a new submission record
+   *
+   * @param {Object} data - Submission data
+   * @param {Object|null} shala - Resolved shala
+   * @param {Object} plan - Result of planBookingDay
+   * @param {string|null} parentId - Shared ID of a multi-day submission
+   * @returns {Object} Submission record
+   */
+  buildSubmission(data, shala, plan, parentId = null) {
+    return {
+      id: generateSubmissionId(),
+      submissionDate: new Date(),
+      bookingDate: toBookingDate(plan.bookingDate),
+      name: data.name,
+      upiNumber: data.upiNumber,
+      whatsappNumber: data.whatsappNumber,
+      ayambilShalaName: shala ? shala.name : data.ayambilShalaName,
+      city: data.city,
+      status: plan.status,
+      ipAddress: data.ipAddress || '',
+      shalaId: shala ? shala.id : null,
+      email: data.email || null,
+      reviewFlag: plan.reviewFlag,
+      parentId,
+      eventId: plan.eventId,
+      version: 1
+    };
   }
 
   /**
@@ -131,44 +300,41 @@ class ExcelService {
    * @returns {Promise<Array>} Array of submissions
    */
   async getAllSubmissions(filters = {}) {
-    return await withFileLock(async () => {
-      const workbook = new ExcelJS.Workbook();
-      await workbook.xlsx.readFile(this.filePath);
-      const worksheet = workbook.getWorksheet('Submissions');
-
-      const submissions = [];
-
-      worksheet.eachRow((row, rowNumber) => {
-        if (rowNumber > 1) { // Skip header
-          const submission = {
-            id: row.getCell(1).value,
-            submissionDate: row.getCell(2).value,
-            bookingDate: row.getCell(3).value,
-            name: row.getCell(4).value,
-            upiNumber: row.getCell(5).value,
-            whatsappNumber: row.getCell(6).value,
-            ayambilShalaName: row.getCell(7).value,
-            city: row.getCell(8).value,
-            status: row.getCell(9).value,
-            ipAddress: row.getCell(10).value
-          };
-
-          // Apply filters
-          let matches = true;
-          if (filters.status && submission.status !== filters.status) matches = false;
-          if (filters.city && submission.city !== filters.city) matches = false;
-
-          if (matches) {
-            submissions.push(submission);
-          }
-        }
-      });
+    const submissions = (await this.storage.getAll('submissions'))
+      .filter(submission => this.matchesFilters(submission, filters));
 
-      // Sort by date (newest first)
-      submissions.sort((a, b) => new Date(b.submissionDate) - new Date(a.submissionDate));
+    // Sort by date (newest first)
+    submissions.sort((a, b) => new Date(b.submissionDate) - new Date(a.submissionDate));
 
-      return submissions;
-    });
+    return submissions;
+  }
+
+  /**
+   * Whether a submission matches list filters
+   *
+   * @param {Object} submission - Submission record
+   * @param {Object} filters - Filter options (status, city, flagged, parentId, eventId, shalaId,
+   *   bookingDate, and from/to for a booking date range)
+   * @returns {boolean} True if it matches
+   */
+  matchesFilters(submission, filters = {}) {
+    // Deleted submissions are only listed in the trash
+    if (submission.deletedAt) return false;
+
+    if (filters.status && submission.status !== filters.status) return false;
+    if (filters.city && submission.city !== filters.city) return false;
+    if (String(filters.flagged) === 'true' && !submission.reviewFlag) return false;
+    if (filters.parentId && submission.parentId !== filters.parentId) return false;
+    if (filters.eventId && submission.eventId !== filters.eventId) return false;
+    if (filters.shalaId && submission.shalaId !== filters.shalaId) return false;
+    if (filters.bookingDate && toDateKey(submission.bookingDate) !== toDateKey(filters.bookingDate)) return false;
+
+    const from = toDateKey(filters.from);
+    const to = toDateKey(filters.to);
+    if ((from || to) && !submission.bookingDate) return false;
+    if (from && toDateKey(submission.bookingDate) < from) return false;
+    if (to && toDateKey(submission.bookingDate) > to) return false;
+    return true;
   }
 
   /**
@@ -178,8 +344,8 @@ class ExcelService {
    * @returns {Promise<Object|null>} Submission object or null
    */
   async getSubmissionById(id) {
-    const submissions = await this.getAllSubmissions();
-    return submissions.find(s => s.id === id) || null;
+    const submission = await this.storage.transaction(async (tx) => tx.find('submissions', id));
+    return submission && !submission.deletedAt ? submission : null;
   }
 
   /**
@@ -187,102 +353,872 @@ class ExcelService {
    *
    * @param {string} id - Submission ID
    * @param {Object} updates - Fields to update
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @param {Array<number>|null} expectedVersions - Versions the client last read (If-Match), null to skip the check
    * @returns {Promise<Object>} Update result
    */
-  async updateSubmission(id, updates) {
-    return await withFileLock(async () => {
-      const workbook = new ExcelJS.Workbook();
-      await workbook.xlsx.readFile(this.filePath);
-      const worksheet = workbook.getWorksheet('Submissions');
-
-      let updated = false;
-      let updatedSubmission = null;
-
-      worksheet.eachRow((row, rowNumber) => {
-        if (rowNumber > 1 && row.getCell(1).value === id) {
-          // Update allowed fields
-          if (updates.status) row.getCell(9).value = updates.status;
-          if (updates.bookingDate) row.getCell(3).value = new Date(updates.bookingDate);
-          if (updates.name) row.getCell(4).value = updates.name;
-          if (updates.upiNumber) row.getCell(5).value = updates.upiNumber;
-          if (updates.whatsappNumber) row.getCell(6).value = updates.whatsappNumber;
-          if (updates.ayambilShalaName) row.getCell(7).value = updates.ayambilShalaName;
-          if (updates.city) row.getCell(8).value = updates.city;
-
-          updated = true;
-          updatedSubmission = {
-            id: row.getCell(1).value,
-            submissionDate: row.getCell(2).value,
-            bookingDate: row.getCell(3).value,
-            name: row.getCell(4).value,
-            upiNumber: row.getCell(5).value,
-            whatsappNumber: row.getCell(6).value,
-            ayambilShalaName: row.getCell(7).value,
-            city: row.getCell(8).value,
-            status: row.getCell(9).value,
-            ipAddress: row.getCell(10).value
-          };
-        }
-      });
+  async updateSubmission(id, updates, audit = {}, expectedVersions = null) {
+    const result = await this.storage.transaction(async (tx) => {
+      const before = tx.find('submissions', id);
 
-      if (!updated) {
+      if (!before || before.deletedAt) {
         throw new Error('Submission not found');
       }
 
-      await workbook.xlsx.writeFile(this.filePath);
+      // Update allowed fields
+      const changes = {};
+      if (updates.status) changes.status = updates.status;
+      if (updates.bookingDate) changes.bookingDate = toBookingDate(updates.bookingDate);
+      if (updates.name) changes.name = updates.name;
+      if (updates.upiNumber) changes.upiNumber = updates.upiNumber;
+      if (updates.whatsappNumber) changes.whatsappNumber = updates.whatsappNumber;
+      if (updates.ayambilShalaName) changes.ayambilShalaName = updates.ayambilShalaName;
+      if (updates.city) changes.city = updates.city;
+      if (updates.reviewFlag !== undefined) changes.reviewFlag = updates.reviewFlag || null;
+
+      if (updates.shalaId) {
+        const shala = tx.find('shalas', updates.shalaId);
+        if (!shala) {
+          throw new Error('Shala not found');
+        }
+        if (!shala.active) {
+          return shalaUnavailableResponse();
+        }
+        changes.shalaId = shala.id;
+        changes.ayambilShalaName = shala.name;
+      }
+
+      if (updates.eventId) {
+        if (!tx.find('events', updates.eventId)) {
+          throw new Error('Event not found');
+        }
+        changes.eventId = updates.eventId;
+      }
+
+      this.assertVersion(before, expectedVersions);
+
+      // A new date, shala or status that takes a seat must pass the booking rules
+      const failure = this.planMove(tx, before, changes);
+
+      if (failure) {
+        return failure;
+      }
+
+      const updatedSubmission = versionService.update(tx, before, changes, { ...audit, action: 'submission.update' });
+
+      auditService.record(tx, {
+        ...audit,
+        action: 'submission.update',
+        targetId: id,
+        before,
+        after: updatedSubmission
+      });
+
+      // Archiving or moving a booking may free its seat
+      const promoted = this.promoteWaitlist(tx, before);
 
       return {
         success: true,
         message: 'Submission updated successfully',
-        data: updatedSubmission
+        data: updatedSubmission,
+        promotedFromWaitlist: promoted.map(s => s.id)
       };
     });
+
+    this.notifyPromoted(result.promotedFromWaitlist);
+    return result;
   }
 
   /**
-   * Delete submission by ID
+   * Check a change that moves a submission onto a seat it does not hold yet
+   * Plans the target day like a new booking (event, booking window, blackout,
+   * capacity and duplicates), without counting the submission itself.
+   * Sets changes.eventId to the event of the target day unless it was given.
+   *
+   * @param {Object} tx - Storage session
+   * @param {Object} before - Submission before the change
+   * @param {Object} changes - Fields about to be updated
+   * @returns {Object|null} Failure response, or null if the change may be stored
+   */
+  planMove(tx, before, changes) {
+    const after = { ...before, ...changes };
+    if (!isActiveBooking(after)) return null;
+
+    const snapshot = this.getBookingSnapshot(tx);
+    const sameSeat = isActiveBooking(before) &&
+      toDateKey(before.bookingDate) === toDateKey(after.bookingDate) &&
+      shalaService.getShalaKey(snapshot.shalas, before) === shalaService.getShalaKey(snapshot.shalas, after);
+
+    if (sameSeat) return null;
+
+    snapshot.submissions = snapshot.submissions.filter(submission => submission.id !== before.id);
+
+    const shala = shalaService.resolveShala(snapshot.shalas, after);
+    const plan = this.planBookingDay(snapshot, shala, after, toDateKey(after.bookingDate));
+
+    if (plan.failure) {
+      return plan.failure;
+    }
+
+    if (!changes.eventId && plan.eventId) {
+      changes.eventId = plan.eventId;
+    }
+
+    return null;
+  }
+
+  /**
+   * Move a submission to the trash
+   * The row is kept with deletedAt set until it is restored or purged
    *
    * @param {string} id - Submission ID
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @param {Array<number>|null} expectedVersions - Versions the client last read (If-Match), null to skip the check
    * @returns {Promise<Object>} Delete result
    */
-  async deleteSubmission(id) {
-    return await withFileLock(async () => {
-      const workbook = new ExcelJS.Workbook();
-      await workbook.xlsx.readFile(this.filePath);
-      const worksheet = workbook.getWorksheet('Submissions');
+  async deleteSubmission(id, audit = {}, expectedVersions = null) {
+    const result = await this.storage.transaction(async (tx) => {
+      const before = tx.find('submissions', id);
 
-      let rowToDelete = null;
+      if (!before || before.deletedAt) {
+        throw new Error('Submission not found');
+      }
 
-      worksheet.eachRow((row, rowNumber) => {
-        if (rowNumber > 1 && row.getCell(1).value === id) {
-          rowToDelete = rowNumber;
+      this.assertVersion(before, expectedVersions);
+
+      const after = versionService.bump(tx, before, {
+        deletedAt: new Date(),
+        deletedBy: audit.actor || 'system'
+      }, { ...audit, action: 'submission.delete' });
+
+      auditService.record(tx, {
+        ...audit,
+        action: 'submission.delete',
+        targetId: id,
+        before,
+        after
+      });
+
+      const promoted = this.promoteWaitlist(tx, before);
+
+      return {
+        success: true,
+        message: 'Submission moved to trash',
+        promotedFromWaitlist: promoted.map(s => s.id)
+      };
+    });
+
+    this.notifyPromoted(result.promotedFromWaitlist);
+    return result;
+  }
+
+  /**
+   * Reject a write based on a stale read
+   * Checked inside the write lock, so two editors cannot both pass it
+   *
+   * @param {Object} submission - Current submission
+   * @param {Array<number>|null} expectedVersions - Versions the client last read, null to skip the check
+   */
+  assertVersion(submission, expectedVersions) {
+    if (expectedVersions && !expectedVersions.includes(submission.version || 1)) {
+      throw new Error('Submission was changed by someone else');
+    }
+  }
+
+  // ===== Bulk operations =====
+
+  /**
+   * Change the status of many submissions
+   * A waitlisted, cancelled or archived submission only gets a seat back if the
+   * booking rules allow it after the items before it
+   *
+   * @param {Object} selection - { ids } or { filter }
+   * @param {string} status - New status
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Per-item results
+   */
+  async bulkUpdateStatus(selection, status, audit = {}) {
+    return await this.runBulk(selection, 'updated', (tx, before) => {
+      if (before.status === status) {
+        return { success: false, message: `Status is already ${status}` };
+      }
+
+      const changes = { status };
+      const failure = this.planMove(tx, before, changes);
+
+      if (failure) {
+        return { success: false, message: failure.message };
+      }
+
+      const after = versionService.update(tx, before, changes, { ...audit, action: 'submission.update' });
+      auditService.record(tx, { ...audit, action: 'submission.update', targetId: before.id, before, after });
+
+      return { success: true, after };
+    });
+  }
+
+  /**
+   * Move many submissions to another booking date
+   * Each move is checked against the capacity left by the moves before it
+   *
+   * @param {Object} selection - { ids } or { filter }
+   * @param {Date|string} bookingDate - New booking date
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Per-item results
+   */
+  async bulkReschedule(selection, bookingDate, audit = {}) {
+    const dateKey = toDateKey(bookingDate);
+
+    return await this.runBulk(selection, 'moved', (tx, before) => {
+      if (before.bookingDate && toDateKey(before.bookingDate) === dateKey) {
+        return { success: false, message: 'Already booked on this date' };
+      }
+
+      const changes = { bookingDate: toBookingDate(dateKey) };
+
+      if (isActiveBooking(before) || before.status === 'waitlisted') {
+        const snapshot = this.getBookingSnapshot(tx);
+        const shalaId = shalaService.getShalaKey(snapshot.shalas, before);
+        const availability = this.checkAvailability(snapshot, dateKey, shalaId);
+
+        if (availability.blackout) {
+          return { success: false, message: 'Date is closed for booking' };
+        }
+
+        // A waitlisted request that moves to a free date gets a seat
+        if (before.status === 'waitlisted') {
+          if (availability.available) changes.status = 'pending';
+        } else if (!availability.available) {
+          return { success: false, message: 'Date is fully booked' };
         }
+      }
+
+      const after = versionService.update(tx, before, changes, {
+        ...audit,
+        action: 'submission.update'
       });
+      auditService.record(tx, { ...audit, action: 'submission.update', targetId: before.id, before, after });
+
+      return { success: true, after };
+    });
+  }
+
+  /**
+   * Move many submissions to the trash
+   *
+   * @param {Object} selection - { ids } or { filter }
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Per-item results
+   */
+  async bulkDelete(selection, audit = {}) {
+    return await this.runBulk(selection, 'moved to trash', (tx, before) => {
+      const after = versionService.bump(tx, before, {
+        deletedAt: new Date(),
+        deletedBy: audit.actor || 'system'
+      }, { ...audit, action: 'submission.delete' });
+      auditService.record(tx, { ...audit, action: 'submission.delete', targetId: before.id, before, after });
+
+      return { success: true, after };
+    });
+  }
+
+  /**
+   * Apply a change to each selected submission in one transaction
+   * A failing item is reported and skipped; it does not stop the others
+   *
+   * @param {Object} selection - { ids } or { filter }
+   * @param {string} verb - Past tense of the change, for the summary message
+   * @param {Function} apply - (tx, submission) => { success, message, after }
+   * @returns {Promise<Object>} Summary and per-item results
+   */
+  async runBulk(selection, verb, apply) {
+    const result = await this.storage.transaction(async (tx) => {
+      const ids = selection.ids
+        ? [...new Set(selection.ids)]
+        : tx.getAll('submissions')
+          .filter(submission => this.matchesFilters(submission, selection.filter))
+          .sort((a, b) => new Date(a.submissionDate) - new Date(b.submissionDate))
+          .map(submission => submission.id);
+
+      if (ids.length > excelConfig.maxBulkItems) {
+        throw new Error(`Bulk operations are limited to ${excelConfig.maxBulkItems} submissions`);
+      }
+
+      const results = [];
+      const promoted = [];
+
+      for (const id of ids) {
+        const before = tx.find('submissions', id);
+
+        if (!before || before.deletedAt) {
+          results.push({ id, success: false, message: 'Submission not found' });
+          continue;
+        }
+
+        const outcome = apply(tx, before);
+
+        if (!outcome.success) {
+          results.push({ id, success: false, message: outcome.message });
+          continue;
+        }
 
-      if (!rowToDelete) {
+        // Seats freed by this item go to the waitlist before the next item is checked
+        promoted.push(...this.promoteWaitlist(tx, before));
+        results.push({ id, success: true, status: outcome.after.status, bookingDate: outcome.after.bookingDate });
+      }
+
+      const succeeded = results.filter(item => item.success).length;
+
+      return {
+        success: true,
+        message: `${succeeded} of ${results.length} submissions ${verb}`,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded
+        },
+        results,
+        promotedFromWaitlist: [...new Set(promoted.map(s => s.id))]
+      };
+    });
+
+    this.notifyPromoted(result.promotedFromWaitlist);
+    return result;
+  }
+
+  // ===== Version history =====
+
+  /**
+   * Get the version history of a submission with field-level changes
+   *
+   * @param {string} id - Submission ID
+   * @returns {Promise<Array|null>} Versions (oldest first), or null if not found
+   */
+  async getSubmissionVersions(id) {
+    const submission = await this.getSubmissionById(id);
+    if (!submission) return null;
+
+    return await versionService.getVersions(submission);
+  }
+
+  /**
+   * Revert a submission to an earlier version
+   * The revert is stored as a new version, so it can itself be reverted
+   *
+   * @param {string} id - Submission ID
+   * @param {number} versionNumber - Version to revert to
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Revert result
+   */
+  async revertSubmission(id, versionNumber, audit = {}) {
+    const result = await this.storage.transaction(async (tx) => {
+      const before = tx.find('submissions', id);
+
+      if (!before || before.deletedAt) {
         throw new Error('Submission not found');
       }
 
-      worksheet.spliceRows(rowToDelete, 1);
+      const target = versionService.findVersion(tx, before, versionNumber);
+
+      if (!target) {
+        throw new Error('Version not found');
+      }
+
+      const changes = {};
+      versionService.fields.forEach(field => {
+        changes[field] = target.data[field] ?? null;
+      });
+      changes.bookingDate = toBookingDate(changes.bookingDate);
+
+      // Moving the booking back into a slot must not overfill it
+      const reverted = { ...before, ...changes };
 
-      // Update summary
-      const summarySheet = workbook.getWorksheet('Summary');
-      if (summarySheet) {
-        const totalRow = summarySheet.getRow(2);
-        const currentTotal = totalRow.getCell(2).value || 0;
-        totalRow.getCell(2).value = Math.max(0, parseInt(currentTotal) - 1);
+      if (isActiveBooking(reverted)) {
+        const snapshot = this.getBookingSnapshot(tx);
+        const shalaId = shalaService.getShalaKey(snapshot.shalas, reverted);
+        const sameSlot = isActiveBooking(before) &&
+          toDateKey(before.bookingDate) === toDateKey(reverted.bookingDate) &&
+          shalaService.getShalaKey(snapshot.shalas, before) === shalaId;
 
-        const lastUpdatedRow = summarySheet.getRow(3);
-        lastUpdatedRow.getCell(2).value = new Date().toISOString();
+        snapshot.submissions = snapshot.submissions.filter(submission => submission.id !== id);
+
+        if (!sameSlot && !this.checkAvailability(snapshot, reverted.bookingDate, shalaId).available) {
+          throw new Error('Booking date of this version is fully booked');
+        }
       }
 
-      await workbook.xlsx.writeFile(this.filePath);
+      const after = versionService.update(tx, before, changes, { ...audit, action: 'submission.revert' });
+
+      auditService.record(tx, {
+        ...audit,
+        action: 'submission.revert',
+        targetId: id,
+        before,
+        after: { ...after, revertedToVersion: versionNumber }
+      });
+
+      const promoted = this.promoteWaitlist(tx, before);
 
       return {
         success: true,
-        message: 'Submission deleted successfully'
+        message: `Submission reverted to version ${versionNumber}`,
+        data: after,
+        promotedFromWaitlist: promoted.map(s => s.id)
       };
     });
+
+    this.notifyPromoted(result.promotedFromWaitlist);
+    return result;
+  }
+
+  // ===== Trash (soft-deleted submissions) =====
+
+  /**
+   * Get submissions in the trash, most recently deleted first
+   *
+   * @returns {Promise<Array>} Deleted submissions
+   */
+  async getDeletedSubmissions() {
+    const submissions = await this.storage.getAll('submissions');
+
+    return submissions
+      .filter(submission => submission.deletedAt)
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  }
+
+  /**
+   * Restore a submission from the trash
+   * If its seat was given away meanwhile, it goes back on the waitlist
+   *
+   * @param {string} id - Submission ID
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Restore result
+   */
+  async restoreSubmission(id, audit = {}) {
+    return await this.storage.transaction(async (tx) => {
+      const before = tx.find('submissions', id);
+
+      if (!before || !before.deletedAt) {
+        throw new Error('Submission not found in trash');
+      }
+
+      let status = before.status;
+
+      if (isActiveBooking({ ...before, deletedAt: null })) {
+        const snapshot = this.getBookingSnapshot(tx);
+        const shalaId = shalaService.getShalaKey(snapshot.shalas, before);
+
+        if (!this.checkAvailability(snapshot, before.bookingDate, shalaId).available) {
+          status = 'waitlisted';
+        }
+      }
+
+      const after = versionService.update(tx, before, { deletedAt: null, deletedBy: null, status }, {
+        ...audit,
+        action: 'submission.restore'
+      });
+
+      auditService.record(tx, {
+        ...audit,
+        action: 'submission.restore',
+        targetId: id,
+        before,
+        after
+      });
+
+      const waitlisted = status !== before.status;
+
+      return {
+        success: true,
+        message: waitlisted
+          ? 'Submission restored to the waitlist because its date is now fully booked'
+          : 'Submission restored',
+        waitlisted,
+        data: after
+      };
+    });
+  }
+
+  /**
+   * Permanently remove a submission from the trash
+   *
+   * @param {string} id - Submission ID
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Purge result
+   */
+  async purgeSubmission(id, audit = {}) {
+    return await this.storage.transaction(async (tx) => {
+      const before = tx.find('submissions', id);
+
+      if (!before || !before.deletedAt) {
+        throw new Error('Submission not found in trash');
+      }
+
+      tx.remove('submissions', id);
+      versionService.removeFor(tx, [id]);
+
+      auditService.record(tx, {
+        ...audit,
+        action: 'submission.purge',
+        targetId: id,
+        before
+      });
+
+      return {
+        success: true,
+        message: 'Submission permanently deleted'
+      };
+    });
+  }
+
+  /**
+   * Permanently remove submissions that have been in the trash longer than the retention period
+   *
+   * @param {number} retentionDays - Days to keep deleted submissions
+   * @returns {Promise<number>} Number of submissions purged
+   */
+  async purgeExpiredTrash(retentionDays = excelConfig.trashRetentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    return await this.storage.transaction(async (tx) => {
+      const purged = tx.removeWhere('submissions', submission => {
+        return submission.deletedAt && new Date(submission.deletedAt) < cutoff;
+      });
+
+      if (purged.length > 0) {
+        versionService.removeFor(tx, purged.map(submission => submission.id));
+
+        auditService.record(tx, {
+          action: 'submission.purge',
+          before: { retentionDays, submissionIds: purged.map(submission => submission.id) }
+        });
+      }
+
+      return purged.length;
+    });
+  }
+
+  /**
+   * Schedule the daily purge of old trash
+   */
+  scheduleTrashPurge() {
+    if (!excelConfig.trashRetentionDays) {
+      console.log('✓ Trash: deleted submissions are kept until purged manually');
+      return;
+    }
+
+    cron.schedule('30 3 * * *', async () => {
+      try {
+        const purged = await this.purgeExpiredTrash();
+        if (purged > 0) {
+          console.log(`🗑️  Purged ${purged} submission(s) from the trash`);
+        }
+      } catch (error) {
+        console.error('Trash purge failed:', error.message);
+      }
+    });
+
+    console.log(`✓ Trash: deleted submissions are purged after ${excelConfig.trashRetentionDays} days`);
+  }
+
+  // ===== Self-service (verified by submission ID + WhatsApp number) =====
+
+  /**
+   * Find a submission on behalf of its submitter
+   * Unknown IDs and wrong numbers fail the same way so IDs cannot be probed
+   *
+   * @param {Object} tx - Storage session
+   * @param {string} id - Submission ID
+   * @param {string} whatsappNumber - WhatsApp number used when booking
+   * @returns {Object} Submission
+   */
+  findOwnSubmission(tx, id, whatsappNumber) {
+    const submission = tx.find('submissions', id);
+
+    if (!submission || submission.deletedAt || String(submission.whatsappNumber).trim() !== String(whatsappNumber).trim()) {
+      throw new Error('Submission not found');
+    }
+
+    return submission;
+  }
+
+  /**
+   * Get the fields a submitter may see about their own booking
+   *
+   * @param {Object} tx - Storage session
+   * @param {Object} submission - Submission record
+   * @returns {Object} Public view of the submission
+   */
+  toPublicView(tx, submission) {
+    const view = {
+      id: submission.id,
+      submissionDate: submission.submissionDate,
+      bookingDate: submission.bookingDate,
+      name: submission.name,
+      ayambilShalaName: submission.ayambilShalaName,
+      city: submission.city,
+      status: submission.status
+    };
+
+    if (submission.status === 'waitlisted') {
+      const snapshot = this.getBookingSnapshot(tx);
+      const shalaId = shalaService.getShalaKey(snapshot.shalas, submission);
+      const waitlist = this.getWaitlist(snapshot.submissions, snapshot.shalas, submission.bookingDate, shalaId);
+      view.waitlistPosition = waitlist.findIndex(s => s.id === submission.id) + 1;
+    }
+
+    return view;
+  }
+
+  /**
+   * Look up a booking for its submitter
+   *
+   * @param {string} id - Submission ID
+   * @param {string} whatsappNumber - WhatsApp number used when booking
+   * @returns {Promise<Object>} Public view of the submission
+   */
+  async lookupOwnSubmission(id, whatsappNumber) {
+    return await this.storage.transaction(async (tx) => {
+      const submission = this.findOwnSubmission(tx, id, whatsappNumber);
+
+      return this.toPublicView(tx, submission);
+    });
+  }
+
+  /**
+   * Get a booking for its submitter to download the receipt
+   *
+   * @param {string} id - Submission ID
+   * @param {string} whatsappNumber - WhatsApp number used when booking
+   * @returns {Promise<Object>} Submission
+   */
+  async getOwnSubmissionForReceipt(id, whatsappNumber) {
+    return await this.storage.transaction(async (tx) => this.findOwnSubmission(tx, id, whatsappNumber));
+  }
+
+  /**
+   * Cancel a booking on behalf of its submitter
+   *
+   * @param {string} id - Submission ID
+   * @param {string} whatsappNumber - WhatsApp number used when booking
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Object>} Cancel result
+   */
+  async cancelOwnSubmission(id, whatsappNumber, ipAddress) {
+    const { response, promoted } = await this.storage.transaction(async (tx) => {
+      const before = this.findOwnSubmission(tx, id, whatsappNumber);
+
+      if (!SELF_SERVICE_STATUSES.includes(before.status)) {
+        return { response: notChangeableResponse(), promoted: [] };
+      }
+
+      const after = versionService.update(tx, before, { status: 'cancelled' }, {
+        actor: selfActor(whatsappNumber),
+        action: 'self.cancel'
+      });
+      const promoted = this.promoteWaitlist(tx, before);
+
+      auditService.record(tx, {
+        actor: selfActor(whatsappNumber),
+        action: 'self.cancel',
+        targetId: id,
+        before,
+        after,
+        ipAddress
+      });
+
+      return {
+        response: {
+          success: true,
+          message: 'તમારું બુકિંગ રદ કરવામાં આવ્યું છે (Your booking has been cancelled)',
+          data: this.toPublicView(tx, after)
+        },
+        promoted
+      };
+    });
+
+    this.notifyPromoted(promoted.map(s => s.id));
+    return response;
+  }
+
+  /**
+   * Move a booking to another date on behalf of its submitter
+   * Capacity and the duplicate policy on the new date are checked under the write lock
+   *
+   * @param {string} id - Submission ID
+   * @param {string} whatsappNumber - WhatsApp number used when booking
+   * @param {Date|string} bookingDate - New booking date
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Object>} Reschedule result
+   */
+  async rescheduleOwnSubmission(id, whatsappNumber, bookingDate, ipAddress) {
+    const { response, promoted } = await this.storage.transaction(async (tx) => {
+      const before = this.findOwnSubmission(tx, id, whatsappNumber);
+
+      if (!SELF_SERVICE_STATUSES.includes(before.status)) {
+        return { response: notChangeableResponse(), promoted: [] };
+      }
+
+      if (before.bookingDate && toDateKey(before.bookingDate) === toDateKey(bookingDate)) {
+        return {
+          response: {
+            success: false,
+            message: 'Your booking is already on this date',
+            messageGu: 'તમારું બુકિંગ પહેલેથી જ આ તારીખે છે'
+          },
+          promoted: []
+        };
+      }
+
+      const snapshot = this.getBookingSnapshot(tx);
+      const shalaId = shalaService.getShalaKey(snapshot.shalas, before);
+
+      // The new date must fall within the booking's event
+      const eventCheck = eventService.resolveEvent(snapshot.events, before.eventId, toDateKey(bookingDate));
+
+      if (eventCheck.error) {
+        return {
+          response: {
+            success: false,
+            message: eventCheck.error,
+            messageGu: eventCheck.errorGu
+          },
+          promoted: []
+        };
+      }
+
+      const validation = this.checkBookingDate(snapshot, bookingDate, shalaId);
+
+      if (!validation.valid) {
+        return {
+          response: {
+            success: false,
+            message: validation.error,
+            messageGu: validation.errorGu,
+            nextAvailableDate: validation.nextAvailableDate
+          },
+          promoted: []
+        };
+      }
+
+      // The new date must pass the duplicate policy, without counting the booking being moved
+      const others = snapshot.submissions.filter(submission => submission.id !== before.id);
+      const duplicate = duplicateService.checkSubmission(others, { ...before, bookingDate });
+
+      if (duplicate && excelConfig.duplicatePolicy.mode === 'reject') {
+        return { response: duplicateService.rejectionResponse(duplicate), promoted: [] };
+      }
+
+      // A waitlisted request that moves to a free date gets a seat
+      const changes = {
+        bookingDate: toBookingDate(bookingDate),
+        status: before.status === 'waitlisted' ? 'pending' : before.status,
+        eventId: eventCheck.event ? eventCheck.event.id : before.eventId
+      };
+      if (duplicate) changes.reviewFlag = duplicateService.toReviewFlag(duplicate);
+
+      const after = versionService.update(tx, before, changes, {
+        actor: selfActor(whatsappNumber),
+        action: 'self.reschedule'
+      });
+      const promoted = this.promoteWaitlist(tx, before);
+
+      auditService.record(tx, {
+        actor: selfActor(whatsappNumber),
+        action: 'self.reschedule',
+        targetId: id,
+        before,
+        after,
+        ipAddress
+      });
+
+      return {
+        response: {
+          success: true,
+          message: 'તમારું બુકિંગ નવી તારીખે ખસેડવામાં આવ્યું છે (Your booking has been moved to the new date)',
+          data: this.toPublicView(tx, after)
+        },
+        promoted
+      };
+    });
+
+    this.notifyPromoted(promoted.map(s => s.id));
+    return response;
+  }
+
+  // ===== Waitlist =====
+
+  /**
+   * Get the waitlist of a shala on a day, oldest request first
+   *
+   * @param {Array} submissions - Submission records
+   * @param {Array} shalas - Shala records
+   * @param {Date|string} bookingDate - Booking date
+   * @param {string|null} shalaId - Shala ID
+   * @returns {Array} Waitlisted submissions in promotion order
+   */
+  getWaitlist(submissions, shalas, bookingDate, shalaId = null) {
+    const dateKey = toDateKey(bookingDate);
+
+    return submissions
+      .filter(submission => {
+        return submission.status === 'waitlisted' &&
+          !submission.deletedAt &&
+          submission.bookingDate &&
+          toDateKey(submission.bookingDate) === dateKey &&
+          shalaService.getShalaKey(shalas, submission) === shalaId;
+      })
+      .sort((a, b) => new Date(a.submissionDate) - new Date(b.submissionDate));
+  }
+
+  /**
+   * Promote waitlisted submissions into seats freed by a change
+   * Must run inside the transaction that freed the seat
+   *
+   * @param {Object} tx - Storage session
+   * @param {Object} released - Submission as it was before it was deleted, archived, cancelled or moved
+   * @returns {Array} Promoted submissions
+   */
+  promoteWaitlist(tx, released) {
+    if (!released || !isActiveBooking(released)) return [];
+
+    const snapshot = this.getBookingSnapshot(tx);
+    const shalaId = shalaService.getShalaKey(snapshot.shalas, released);
+    const promoted = [];
+
+    for (const entry of this.getWaitlist(snapshot.submissions, snapshot.shalas, released.bookingDate, shalaId)) {
+      if (!this.checkAvailability(snapshot, released.bookingDate, shalaId).available) break;
+
+      const updated = versionService.update(tx, entry, { status: 'pending' }, { action: 'waitlist.promote' });
+      snapshot.submissions = snapshot.submissions.map(s => (s.id === updated.id ? updated : s));
+      promoted.push(updated);
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Notify promoted submitters (non-blocking)
+   *
+   * @param {Array} ids - Promoted submission IDs
+   */
+  notifyPromoted(ids = []) {
+    if (ids.length === 0) return;
+
+    this.storage.getAll('submissions')
+      .then(submissions => {
+        submissions
+          .filter(submission => ids.includes(submission.id))
+          .forEach(submission => {
+            console.log(`✓ Promoted from waitlist: ${submission.id} (${toDateKey(submission.bookingDate)})`);
+            emailService.sendWaitlistPromotion(submission).catch(err => {
+              console.error('Waitlist email failed (non-blocking):', err.message);
+            });
+          });
+      })
+      .catch(err => {
+        console.error('Waitlist notification failed:', err.message);
+      });
   }
 
   /**
@@ -310,19 +1246,15 @@ class ExcelService {
   /**
    * Get statistics
    *
+   * @param {Object} filters - Filter options (eventId)
    * @returns {Promise<Object>} Statistics object
    */
-  async getStatistics() {
-    const submissions = await this.getAllSubmissions();
+  async getStatistics(filters = {}) {
+    const submissions = await this.getAllSubmissions(filters);
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = getEventDateKey();
 
-    const todaySubmissions = submissions.filter(s => {
-      const subDate = new Date(s.submissionDate);
-      subDate.setHours(0, 0, 0, 0);
-      return subDate.getTime() === today.getTime();
-    });
+    const todaySubmissions = submissions.filter(s => getEventDateKey(s.submissionDate) === today);
 
     const stats = await fs.stat(this.filePath);
     const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
@@ -333,151 +1265,244 @@ class ExcelService {
       pending: submissions.filter(s => s.status === 'pending').length,
       reviewed: submissions.filter(s => s.status === 'reviewed').length,
       archived: submissions.filter(s => s.status === 'archived').length,
+      waitlisted: submissions.filter(s => s.status === 'waitlisted').length,
+      cancelled: submissions.filter(s => s.status === 'cancelled').length,
       fileSizeMB: parseFloat(fileSizeMB)
     };
   }
 
   /**
-   * Export submissions to Excel file
+   * Get booking counts for a date range
    *
-   * @param {Object} filters - Filter options
-   * @returns {Promise<string>} Path to exported file
+   * @param {Date|string} startDate - Start date (inclusive)
+   * @param {Date|string} endDate - End date (inclusive)
+   * @param {string|null} shalaId - Count only this shala's bookings (all bookable shalas if omitted)
+   * @returns {Promise<Object>} Object with date strings as keys and counts as values
    */
-  async exportSubmissions(filters = {}) {
-    const submissions = await this.getAllSubmissions(filters);
-
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Submissions Export');
+  async getBookingCountsByDateRange(startDate, endDate, shalaId = null) {
+    const snapshot = await this.loadBookingSnapshot();
+    const startKey = toDateKey(startDate);
+    const endKey = toDateKey(endDate);
+    const buckets = shalaId ? [shalaId] : getShalaBuckets(snapshot);
+    const bookingCounts = {};
 
-    worksheet.columns = this.columns;
+    const seats = [
+      ...snapshot.submissions.filter(submission => {
+        return isActiveBooking(submission) && buckets.includes(shalaService.getShalaKey(snapshot.shalas, submission));
+      }),
+      // Held seats are shown as taken
+      ...snapshot.holds.filter(hold => buckets.includes(hold.shalaId || null))
+    ];
 
-    // Style header
-    worksheet.getRow(1).font = { bold: true };
-    worksheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FFE0E0E0' }
-    };
+    seats.forEach(seat => {
+      const dateStr = toDateKey(seat.bookingDate);
 
-    // Add data
-    submissions.forEach(submission => {
-      worksheet.addRow(submission);
+      // Only count if within range
+      if (dateStr >= startKey && dateStr <= endKey) {
+        bookingCounts[dateStr] = (bookingCounts[dateStr] || 0) + 1;
+      }
     });
 
-    // Generate filename
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-    const exportPath = path.join(excelConfig.exportDir, `export_${timestamp}_${Date.now()}.xlsx`);
+    return bookingCounts;
+  }
 
-    await workbook.xlsx.writeFile(exportPath);
+  /**
+   * Get booking count for a specific date
+   *
+   * @param {Date|string} date - Date to check
+   * @param {string|null} shalaId - Count only this shala's bookings (all bookable shalas if omitted)
+   * @returns {Promise<number>} Number of bookings for that date
+   */
+  async getBookingCountForDate(date, shalaId = null) {
+    const snapshot = await this.loadBookingSnapshot();
+    return countBookings(snapshot, toDateKey(date), shalaId || ALL_SHALAS);
+  }
 
-    return exportPath;
+  /**
+   * Check if a date is available for booking
+   * Without a shala, the date is available if any bookable shala has a seat left
+   *
+   * @param {Date|string} date - Date to check
+   * @param {string|null} shalaId - Shala to check (all bookable shalas if omitted)
+   * @returns {Promise<Object>} Object with available flag and current count
+   */
+  async isDateAvailable(date, shalaId = null) {
+    const snapshot = await this.loadBookingSnapshot();
+    return this.checkAvailability(snapshot, date, shalaId || ALL_SHALAS);
   }
 
   /**
-   * Get booking counts for a date range
+   * Find next available date starting from a given date
    *
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
-   * @returns {Promise<Object>} Object with date strings as keys and counts as values
+   * @param {Date|string} startDate - Date to start searching from
+   * @param {number} maxDaysToSearch - Maximum days to search ahead (default 90)
+   * @param {string|null} shalaId - Shala to check
+   * @returns {Promise<Object>} Next available date info or null
    */
-  async getBookingCountsByDateRange(startDate, endDate) {
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.readFile(this.filePath);
-    const worksheet = workbook.getWorksheet('Submissions');
+  async getNextAvailableDate(startDate, maxDaysToSearch = 90, shalaId = null) {
+    const snapshot = await this.loadBookingSnapshot();
+    return this.findNextAvailableDate(snapshot, startDate, maxDaysToSearch, shalaId);
+  }
 
-    const bookingCounts = {};
+  /**
+   * Validate booking date before submission
+   *
+   * @param {Date|string} bookingDate - Date to validate
+   * @param {string|null} shalaId - Shala to book
+   * @returns {Promise<Object>} Validation result
+   */
+  async validateBookingDate(bookingDate, shalaId = null) {
+    const snapshot = await this.loadBookingSnapshot();
+    return this.checkBookingDate(snapshot, bookingDate, shalaId);
+  }
 
-    worksheet.eachRow((row, rowNumber) => {
-      if (rowNumber === 1) return; // Skip header
+  /**
+   * Get the effective capacity of every day in a range
+   * Days closed by the booking window have no capacity
+   *
+   * @param {Date|string} startDate - Start date (inclusive)
+   * @param {Date|string} endDate - End date (inclusive)
+   * @param {string|null} shalaId - Shala to check (all bookable shalas together if omitted)
+   * @returns {Promise<Object>} Object with date strings as keys and capacities as values
+   */
+  async getCapacitiesByDateRange(startDate, endDate, shalaId = null) {
+    const snapshot = await this.loadBookingSnapshot();
+    const capacities = {};
+
+    eachDateKey(toDateKey(startDate), toDateKey(endDate)).forEach(dateKey => {
+      capacities[dateKey] = policyService.checkDate(dateKey)
+        ? 0
+        : this.getCapacity(snapshot, dateKey, shalaId || ALL_SHALAS).capacity;
+    });
 
-      const bookingDate = row.getCell(3).value; // Column 3 is Booking Date
+    return capacities;
+  }
 
-      if (bookingDate) {
-        const date = new Date(bookingDate);
-        // Only count if within range and status is not archived
-        const status = row.getCell(9).value; // Column 9 is Status
+  // ===== Capacity checks on a loaded snapshot =====
+  // These take the records already read by the caller so that the count,
+  // the capacity decision and the insert can share one storage transaction.
 
-        if (date >= startDate && date <= endDate && status !== 'archived') {
-          const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-          bookingCounts[dateStr] = (bookingCounts[dateStr] || 0) + 1;
-        }
-      }
-    });
+  /**
+   * Read everything capacity decisions depend on
+   *
+   * @param {Object} tx - Storage session
+   * @returns {Object} Booking snapshot
+   */
+  getBookingSnapshot(tx) {
+    const now = new Date();
 
-    return bookingCounts;
+    return {
+      submissions: tx.getAll('submissions').filter(submission => !submission.deletedAt),
+      calendar: tx.getAll('calendar'),
+      shalas: tx.getAll('shalas'),
+      events: tx.getAll('events'),
+      holds: tx.getAll('holds').filter(hold => !hold.releasedAt && new Date(hold.expiresAt) > now)
+    };
   }
 
   /**
-   * Get booking count for a specific date
+   * Load a booking snapshot in its own transaction
    *
-   * @param {Date|string} date - Date to check
-   * @returns {Promise<number>} Number of bookings for that date
+   * @returns {Promise<Object>} Booking snapshot
    */
-  async getBookingCountForDate(date) {
-    const targetDate = new Date(date);
-    const dateStr = targetDate.toISOString().split('T')[0];
-
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.readFile(this.filePath);
-    const worksheet = workbook.getWorksheet('Submissions');
+  async loadBookingSnapshot() {
+    return await this.storage.transaction(async (tx) => this.getBookingSnapshot(tx));
+  }
 
-    let count = 0;
+  /**
+   * Get the effective capacity of a shala on a day
+   * Calendar overrides apply to every shala; otherwise the shala's own
+   * daily limit is used, then the running event's default, then the global default
+   *
+   * @param {Object} snapshot - Booking snapshot
+   * @param {string} dateKey - YYYY-MM-DD day key
+   * @param {string|null|symbol} shalaId - Shala ID, null for bookings without a shala, or ALL_SHALAS
+   * @returns {Object} { capacity, blackout }
+   */
+  getCapacity(snapshot, dateKey, shalaId = null) {
+    if (shalaId === ALL_SHALAS) {
+      const capacities = getShalaBuckets(snapshot).map(bucket => this.getCapacity(snapshot, dateKey, bucket));
 
-    worksheet.eachRow((row, rowNumber) => {
-      if (rowNumber === 1) return; // Skip header
+      return {
+        capacity: capacities.reduce((sum, { capacity }) => sum + capacity, 0),
+        blackout: capacities.some(({ blackout }) => blackout)
+      };
+    }
 
-      const bookingDate = row.getCell(3).value; // Column 3 is Booking Date
-      const status = row.getCell(9).value; // Column 9 is Status
+    const shala = shalaId ? snapshot.shalas.find(s => s.id === shalaId) : null;
+    const event = eventService.findEventForDate(snapshot.events, dateKey);
 
-      if (bookingDate && status !== 'archived') {
-        const rowDateStr = new Date(bookingDate).toISOString().split('T')[0];
-        if (rowDateStr === dateStr) {
-          count++;
-        }
-      }
-    });
+    let defaultCapacity = excelConfig.maxBookingsPerDay;
+    if (shala && shala.maxBookingsPerDay !== null) {
+      defaultCapacity = shala.maxBookingsPerDay;
+    } else if (event && event.maxBookingsPerDay !== null) {
+      defaultCapacity = event.maxBookingsPerDay;
+    }
 
-    return count;
+    return calendarService.getEffectiveCapacity(snapshot.calendar, dateKey, defaultCapacity);
   }
 
   /**
-   * Check if a date is available for booking
+   * Check availability of a date against a booking snapshot
    *
+   * @param {Object} snapshot - Booking snapshot
    * @param {Date|string} date - Date to check
-   * @returns {Promise<Object>} Object with available flag and current count
+   * @param {string|null|symbol} shalaId - Shala to check, null for bookings without a shala, or ALL_SHALAS
+   * @returns {Object} Object with available flag and current count
    */
-  async isDateAvailable(date) {
-    const count = await this.getBookingCountForDate(date);
-    const maxBookings = excelConfig.maxBookingsPerDay;
+  checkAvailability(snapshot, date, shalaId = null) {
+    if (shalaId === ALL_SHALAS) {
+      const buckets = getShalaBuckets(snapshot).map(bucket => this.checkAvailability(snapshot, date, bucket));
+      const sum = key => buckets.reduce((total, bucket) => total + bucket[key], 0);
+
+      return {
+        available: buckets.some(bucket => bucket.available),
+        count: sum('count'),
+        maxBookings: sum('maxBookings'),
+        remaining: sum('remaining'),
+        blackout: buckets.some(bucket => bucket.blackout)
+      };
+    }
+
+    const dateKey = toDateKey(date);
+    const count = countBookings(snapshot, dateKey, shalaId);
+    const { capacity: maxBookings, blackout } = this.getCapacity(snapshot, dateKey, shalaId);
 
     return {
       available: count < maxBookings,
       count,
       maxBookings,
-      remaining: maxBookings - count
+      remaining: Math.max(0, maxBookings - count),
+      blackout
     };
   }
 
   /**
-   * Find next available date starting from a given date
+   * Find next available date against a booking snapshot
+   * Skips days closed by the booking window and stops at the advance limit
    *
+   * @param {Object} snapshot - Booking snapshot
    * @param {Date|string} startDate - Date to start searching from
-   * @param {number} maxDaysToSearch - Maximum days to search ahead (default 90)
-   * @returns {Promise<Object>} Next available date info or null
+   * @param {number} maxDaysToSearch - Maximum days to search ahead
+   * @param {string|null} shalaId - Shala to check
+   * @returns {Object|null} Next available date info or null
    */
-  async getNextAvailableDate(startDate, maxDaysToSearch = 90) {
-    const searchStart = new Date(startDate);
-    searchStart.setHours(0, 0, 0, 0);
+  findNextAvailableDate(snapshot, startDate, maxDaysToSearch = 90, shalaId = null) {
+    const today = getEventDateKey();
+    const searchStart = toDateKey(startDate) < today ? today : toDateKey(startDate);
 
     for (let i = 0; i < maxDaysToSearch; i++) {
-      const checkDate = new Date(searchStart);
-      checkDate.setDate(checkDate.getDate() + i);
+      const checkDate = addDays(searchStart, i);
+      const closed = policyService.checkDate(checkDate);
 
-      const availability = await this.isDateAvailable(checkDate);
+      if (closed && closed.reason === 'too_far') break;
+      if (closed) continue;
+
+      const availability = this.checkAvailability(snapshot, checkDate, shalaId);
 
       if (availability.available) {
         return {
-          date: checkDate.toISOString().split('T')[0],
+          date: checkDate,
           count: availability.count,
           remaining: availability.remaining
         };
@@ -488,35 +1513,50 @@ class ExcelService {
   }
 
   /**
-   * Validate booking date before submission
+   * Validate a booking date against a booking snapshot
    *
+   * @param {Object} snapshot - Booking snapshot
    * @param {Date|string} bookingDate - Date to validate
-   * @returns {Promise<Object>} Validation result
+   * @param {string|null} shalaId - Shala to book
+   * @returns {Object} Validation result
    */
-  async validateBookingDate(bookingDate) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+  checkBookingDate(snapshot, bookingDate, shalaId = null) {
+    const targetDate = toDateKey(bookingDate);
 
-    const targetDate = new Date(bookingDate);
-    targetDate.setHours(0, 0, 0, 0);
+    // Check the booking window (past dates, same-day cutoff, advance limit, weekdays)
+    const closed = policyService.checkDate(targetDate);
 
-    // Check if date is in the past
-    if (targetDate < today) {
+    if (closed) {
       return {
         valid: false,
-        error: 'Past dates cannot be booked',
-        errorGu: 'પાછલી તારીખો બુક કરી શકાતી નથી'
+        reason: closed.reason,
+        error: closed.error,
+        errorGu: closed.errorGu,
+        nextAvailableDate: ['cutoff', 'weekday'].includes(closed.reason)
+          ? this.findNextAvailableDate(snapshot, targetDate, 90, shalaId)
+          : undefined
       };
     }
 
     // Check availability
-    const availability = await this.isDateAvailable(bookingDate);
+    const availability = this.checkAvailability(snapshot, targetDate, shalaId);
+
+    if (availability.blackout) {
+      return {
+        valid: false,
+        error: 'Bookings are closed on this date',
+        errorGu: 'આ તારીખે બુકિંગ બંધ છે',
+        currentCount: availability.count,
+        nextAvailableDate: this.findNextAvailableDate(snapshot, targetDate, 90, shalaId)
+      };
+    }
 
     if (!availability.available) {
-      const nextDate = await this.getNextAvailableDate(targetDate);
+      const nextDate = this.findNextAvailableDate(snapshot, targetDate, 90, shalaId);
 
       return {
         valid: false,
+        fullyBooked: true,
         error: `This date is fully booked (${availability.count}/${availability.maxBookings} bookings)`,
         errorGu: `આ તારીખ સંપૂર્ણ બુક છે (${availability.count}/${availability.maxBookings} બુકિંગ)`,
         currentCount: availability.count,
@@ -532,4 +1572,125 @@ class ExcelService {
   }
 }
 
+// Capacity lookups across every bookable shala (public calendar and availability)
+const ALL_SHALAS = Symbol('all shalas');
+
+// Statuses that do not hold a seat
+const INACTIVE_STATUSES = ['archived', 'waitlisted', 'cancelled'];
+
+// Statuses a submitter may still cancel or reschedule
+const SELF_SERVICE_STATUSES = ['pending', 'reviewed', 'waitlisted'];
+
+/**
+ * Audit actor for a self-service change
+ * Only the last four digits are kept so the audit trail holds no contact numbers
+ *
+ * @param {string} whatsappNumber - WhatsApp number used when booking
+ * @returns {string} Actor, e.g. self:******3210
+ */
+function selfActor(whatsappNumber) {
+  const digits = String(whatsappNumber || '').replace(/\D/g, '');
+  return `self:${'*'.repeat(Math.max(digits.length - 4, 0))}${digits.slice(-4)}`;
+}
+
+/**
+ * Response for a booking at a shala that is inactive or unknown
+ *
+ * @returns {Object} Failure response
+ */
+function shalaUnavailableResponse() {
+  return {
+    success: false,
+    message: 'Selected Ayambil Shala is not available',
+    messageGu: 'પસંદ કરેલ આયંબિલ શાળા ઉપલબ્ધ નથી'
+  };
+}
+
+/**
+ * Response for self-service changes to a closed booking
+ *
+ * @returns {Object} Failure response
+ */
+function notChangeableResponse() {
+  return {
+    success: false,
+    message: 'This booking can no longer be changed',
+    messageGu: 'આ બુકિંગમાં હવે ફેરફાર કરી શકાતો નથી'
+  };
+}
+
+/**
+ * Whether a submission occupies a booking slot
+ *
+ * @param {Object} submission - Submission record
+ * @returns {boolean} True if it counts against capacity
+ */
+function isActiveBooking(submission) {
+  return Boolean(submission.bookingDate) && !submission.deletedAt && !INACTIVE_STATUSES.includes(submission.status);
+}
+
+/**
+ * Pick the holds a submission may use: live holds among its tokens that are for
+ * one of its days at its shala, at most one per day
+ *
+ * @param {Object} snapshot - Booking snapshot (live holds only)
+ * @param {Array<string>} tokens - Hold tokens sent with the submission
+ * @param {Array<string>} dateKeys - Days being booked
+ * @param {Object|null} shala - Resolved shala
+ * @returns {Array<Object>} Holds to hand over
+ */
+function selectOwnHolds(snapshot, tokens, dateKeys, shala) {
+  const shalaId = shala?.id || null;
+  const heldDates = new Set();
+
+  return snapshot.holds.filter(hold => {
+    const dateKey = toDateKey(hold.bookingDate);
+
+    if (!tokens.includes(hold.id) || !dateKeys.includes(dateKey) ||
+      (hold.shalaId || null) !== shalaId || heldDates.has(dateKey)) {
+      return false;
+    }
+
+    heldDates.add(dateKey);
+    return true;
+  });
+}
+
+/**
+ * Get the capacity buckets a booking can be made in: bookings without a
+ * listed shala (null) and each active shala
+ *
+ * @param {Object} snapshot - Booking snapshot
+ * @returns {Array<string|null>} Bucket keys
+ */
+function getShalaBuckets(snapshot) {
+  return [null, ...snapshot.shalas.filter(shala => shala.active).map(shala => shala.id)];
+}
+
+/**
+ * Count bookings and unexpired holds that occupy a slot of a shala on a given day
+ *
+ * @param {Object} snapshot - Booking snapshot
+ * @param {string} dateKey - YYYY-MM-DD day key
+ * @param {string|null|symbol} shalaId - Shala ID (null counts bookings outside the master list, ALL_SHALAS every bookable shala)
+ * @returns {number} Booking count
+ */
+function countBookings(snapshot, dateKey, shalaId = null) {
+  if (shalaId === ALL_SHALAS) {
+    return getShalaBuckets(snapshot).reduce((sum, bucket) => sum + countBookings(snapshot, dateKey, bucket), 0);
+  }
+
+  const bookings = snapshot.submissions.filter(submission => {
+    return isActiveBooking(submission) &&
+      toDateKey(submission.bookingDate) === dateKey &&
+      shalaService.getShalaKey(snapshot.shalas, submission) === shalaId;
+  }).length;
+
+  const holds = (snapshot.holds || []).filter(hold => {
+    return toDateKey(hold.bookingDate) === dateKey && (hold.shalaId || null) === shalaId;
+  }).length;
+
+  return bookings + holds;
+}
+
 module.exports = new ExcelService();
@@ -0,0 +1,295 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cron = require('node-cron');
+const ExcelJS = require('exceljs');
+const excelConfig = require('../config/excel.config');
+const excelService = require('./excel.service');
+const { getEventDateKey, toDateKey } = require('../utils/date');
+
+// Export formats and how they are sent
+const FORMATS = {
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  json: { contentType: 'application/json; charset=utf-8' }
+};
+
+// Columns left out unless asked for by name: IP addresses are personal data,
+// and exports never contain deleted submissions
+const DEFAULT_EXCLUDED_FIELDS = ['ipAddress', 'deletedAt', 'deletedBy'];
+
+// Byte order mark so Excel opens UTF-8 CSV files (Gujarati text) correctly
+const UTF8_BOM = '\uFEFF';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ExportService {
+  constructor() {
+    this.formats = Object.keys(FORMATS);
+  }
+
+  /**
+   * Prepare an export in one of the supported formats
+   * Nothing is written until write() is called with the destination stream
+   * (the HTTP response), so no temporary file is needed
+   *
+   * @param {Object} filters - Same filters as the submission list (status, city, flagged, eventId, from, to, ...)
+   * @param {Object} options - { format: 'xlsx'|'csv'|'json', fields: Array<string> }
+   * @returns {Promise<Object>} { contentType, filename, count, write(stream) }
+   */
+  async exportSubmissions(filters = {}, { format = 'xlsx', fields } = {}) {
+    const columns = this.getColumns(fields);
+    const submissions = await excelService.getAllSubmissions(filters);
+
+    const writers = {
+      xlsx: stream => this.writeXlsx(stream, submissions, columns),
+      csv: stream => this.writeCsv(stream, submissions, columns),
+      json: stream => this.writeJson(stream, submissions, columns)
+    };
+
+    return {
+      contentType: FORMATS[format].contentType,
+      filename: this.getFilename(filters, format),
+      count: submissions.length,
+      write: writers[format]
+    };
+  }
+
+  /**
+   * Get the columns to export, in the order of the Submissions sheet
+   *
+   * @param {Array<string>} fields - Requested field keys (all but the excluded ones if empty)
+   * @returns {Array} Column definitions
+   */
+  getColumns(fields) {
+    if (!fields || fields.length === 0) {
+      return excelConfig.columns.filter(column => !DEFAULT_EXCLUDED_FIELDS.includes(column.key));
+    }
+
+    const unknown = fields.filter(field => !excelConfig.columns.some(column => column.key === field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown export field: ${unknown.join(', ')}`);
+    }
+
+    return excelConfig.columns.filter(column => fields.includes(column.key));
+  }
+
+  /**
+   * Stream an Excel workbook, committing each row as it is written
+   *
+   * @param {Stream} stream - Destination (ended when the workbook is complete)
+   * @param {Array} submissions - Submissions
+   * @param {Array} columns - Columns to include
+   */
+  async writeXlsx(stream, submissions, columns) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const worksheet = workbook.addWorksheet('Submissions Export');
+
+    worksheet.columns = columns.map(({ header, key, width }) => ({ header, key, width }));
+
+    // Style header
+    const header = worksheet.getRow(1);
+    header.font = { bold: true };
+    header.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' }
+    };
+    header.commit();
+
+    submissions.forEach(submission => {
+      worksheet.addRow(submission).commit();
+    });
+
+    worksheet.commit();
+    await workbook.commit();
+  }
+
+  /**
+   * Stream a CSV file (UTF-8 with byte order mark)
+   *
+   * @param {Stream} stream - Destination (ended when done)
+   * @param {Array} submissions - Submissions
+   * @param {Array} columns - Columns to include
+   */
+  async writeCsv(stream, submissions, columns) {
+    await writeChunk(stream, UTF8_BOM + columns.map(column => toCsvCell(column.header)).join(',') + '\r\n');
+
+    for (const submission of submissions) {
+      await writeChunk(stream, columns.map(column => toCsvCell(formatValue(submission[column.key]))).join(',') + '\r\n');
+    }
+
+    stream.end();
+  }
+
+  /**
+   * Stream a JSON array of submissions keyed by field name
+   *
+   * @param {Stream} stream - Destination (ended when done)
+   * @param {Array} submissions - Submissions
+   * @param {Array} columns - Columns to include
+   */
+  async writeJson(stream, submissions, columns) {
+    await writeChunk(stream, '[');
+
+    for (const [index, submission] of submissions.entries()) {
+      const record = {};
+      columns.forEach(column => {
+        record[column.key] = formatValue(submission[column.key]);
+      });
+
+      await writeChunk(stream, (index === 0 ? '\n' : ',\n') + JSON.stringify(record));
+    }
+
+    await writeChunk(stream, submissions.length > 0 ? '\n]\n' : ']\n');
+    stream.end();
+  }
+
+  /**
+   * Build a download filename that describes the filters
+   * e.g. submissions_pending_2026-10-01_to_2026-10-31_exported_2026-10-18.csv
+   *
+   * @param {Object} filters - Export filters
+   * @param {string} format - File format
+   * @returns {string} Filename
+   */
+  getFilename(filters, format) {
+    const parts = ['submissions'];
+
+    if (filters.status) parts.push(filters.status);
+    if (filters.city) parts.push(filters.city);
+    if (filters.eventId) parts.push(filters.eventId);
+    if (filters.shalaId) parts.push(filters.shalaId);
+    if (String(filters.flagged) === 'true') parts.push('flagged');
+
+    const from = toDateKey(filters.from);
+    const to = toDateKey(filters.to);
+    if (from && to) {
+      parts.push(`${from}_to_${to}`);
+    } else if (from) {
+      parts.push(`from_${from}`);
+    } else if (to) {
+      parts.push(`until_${to}`);
+    }
+
+    parts.push(`exported_${getEventDateKey()}`);
+
+    const name = parts
+      .map(part => String(part).trim().replace(/[^\p{L}\p{M}\p{N}_-]+/gu, '-').replace(/^-+|-+$/g, ''))
+      .filter(Boolean)
+      .join('_');
+
+    return `${name}.${format}`;
+  }
+
+  /**
+   * Delete files in the exports directory older than the retention period
+   * Exports are streamed to the client, so files there are copies saved by hand
+   * or left over from earlier versions
+   *
+   * @param {number} retentionDays - Days to keep export files
+   * @returns {Promise<number>} Number of files deleted
+   */
+  async cleanOldExports(retentionDays = excelConfig.exportRetentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+    await fs.mkdir(excelConfig.exportDir, { recursive: true });
+    const files = await fs.readdir(excelConfig.exportDir);
+    let deleted = 0;
+
+    for (const file of files) {
+      if (file.startsWith('.')) continue;
+
+      const filePath = path.join(excelConfig.exportDir, file);
+      const stats = await fs.stat(filePath);
+
+      if (stats.isFile() && stats.mtime.getTime() < cutoff) {
+        await fs.unlink(filePath);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Schedule the daily cleanup of the exports directory
+   */
+  scheduleCleanup() {
+    if (!excelConfig.exportRetentionDays) {
+      console.log('✓ Exports: files in the exports directory are kept until deleted by hand');
+      return;
+    }
+
+    cron.schedule('45 3 * * *', async () => {
+      try {
+        const deleted = await this.cleanOldExports();
+        if (deleted > 0) {
+          console.log(`🗑️  Deleted ${deleted} old export file(s)`);
+        }
+      } catch (error) {
+        console.error('Export cleanup failed:', error.message);
+      }
+    });
+
+    console.log(`✓ Exports: streamed to the client; files in the exports directory are deleted after ${excelConfig.exportRetentionDays} days`);
+  }
+}
+
+/**
+ * Write to a stream, waiting when its buffer is full
+ * Stops with an error if the client has gone away
+ *
+ * @param {Stream} stream - Destination
+ * @param {string} chunk - Text to write
+ */
+async function writeChunk(stream, chunk) {
+  if (stream.destroyed) {
+    throw new Error('Export download was interrupted');
+  }
+
+  if (!stream.write(chunk)) {
+    await new Promise(resolve => {
+      const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+      };
+      stream.on('drain', done);
+      stream.on('close', done);
+    });
+  }
+}
+
+/**
+ * Format a value for CSV and JSON exports
+ * Booking dates (stored at midnight UTC) become YYYY-MM-DD, other dates ISO timestamps
+ *
+ * @param {*} value - Field value
+ * @returns {*} Exported value
+ */
+function formatValue(value) {
+  if (value instanceof Date) {
+    return value.getTime() % DAY_MS === 0 ? toDateKey(value) : value.toISOString();
+  }
+  return value ?? null;
+}
+
+/**
+ * Quote a CSV cell
+ * Text that a spreadsheet would run as a formula is prefixed with an apostrophe
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,159 @@
+const cron = require('node-cron');
+const excelConfig = require('../config/excel.config');
+const storage = require('../storage');
+const excelService = require('./excel.service');
+const shalaService = require('./shala.service');
+const eventService = require('./event.service');
+const { generateId } = require('../utils/helpers');
+const { toDateKey, toBookingDate } = require('../utils/date');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HoldService {
+  /**
+   * Reserve a seat on a date while the form is being filled
+   * The hold counts against capacity until it is used, released or expires.
+   * Used and released holds are kept for a day so they still count towards
+   * the IP's daily limit.
+   *
+   * @param {Object} data - { bookingDate, shalaId, ayambilShalaName, eventId }
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object>} Hold token and expiry, or success: false if the date is unavailable
+   */
+  async createHold(data, ipAddress) {
+    return await storage.transaction(async (tx) => {
+      const snapshot = excelService.getBookingSnapshot(tx);
+      const shala = shalaService.resolveShala(snapshot.shalas, data);
+
+      if (data.shalaId && (!shala || !shala.active)) {
+        return {
+          success: false,
+          message: 'Selected Ayambil Shala is not available',
+          messageGu: 'પસંદ કરેલ આયંબિલ શાળા ઉપલબ્ધ નથી'
+        };
+      }
+
+      const eventCheck = eventService.resolveEvent(snapshot.events, data.eventId, toDateKey(data.bookingDate));
+
+      if (eventCheck.error) {
+        return {
+          success: false,
+          message: eventCheck.error,
+          messageGu: eventCheck.errorGu
+        };
+      }
+
+      if (snapshot.holds.filter(hold => hold.ipAddress === ipAddress).length >= excelConfig.maxHoldsPerIp) {
+        return {
+          success: false,
+          message: 'Too many seats are being held. Please complete or release a booking first',
+          messageGu: 'ઘણી બેઠકો રોકાયેલી છે. કૃપા કરીને પહેલા બુકિંગ પૂર્ણ કરો અથવા છોડો'
+        };
+      }
+
+      const dayAgo = Date.now() - DAY_MS;
+      const heldToday = tx.getAll('holds').filter(hold => {
+        return hold.ipAddress === ipAddress && new Date(hold.createdAt).getTime() > dayAgo;
+      });
+
+      if (heldToday.length >= excelConfig.maxHoldsPerIpPerDay) {
+        return {
+          success: false,
+          message: 'Too many seats have been held today. Please submit the form without holding a seat',
+          messageGu: 'આજે ઘણી બેઠકો રોકવામાં આવી છે. કૃપા કરીને બેઠક રોક્યા વગર ફોર્મ સબમિટ કરો'
+        };
+      }
+
+      const validation = excelService.checkBookingDate(snapshot, data.bookingDate, shala?.id || null);
+
+      if (!validation.valid) {
+        return {
+          success: false,
+          message: validation.error,
+          messageGu: validation.errorGu,
+          nextAvailableDate: validation.nextAvailableDate
+        };
+      }
+
+      const now = new Date();
+      const hold = {
+        id: generateId('HLD'),
+        bookingDate: toBookingDate(data.bookingDate),
+        shalaId: shala ? shala.id : null,
+        expiresAt: new Date(now.getTime() + excelConfig.holdMinutes * 60 * 1000),
+        createdAt: now,
+        ipAddress: ipAddress || ''
+      };
+
+      tx.insert('holds', hold);
+
+      return {
+        success: true,
+        holdToken: hold.id,
+        bookingDate: hold.bookingDate,
+        shalaId: hold.shalaId,
+        expiresAt: hold.expiresAt,
+        message: `બેઠક ${excelConfig.holdMinutes} મિનિટ માટે રોકવામાં આવી છે (Seat held for ${excelConfig.holdMinutes} minutes)`
+      };
+    });
+  }
+
+  /**
+   * Release a hold before it expires
+   *
+   * @param {string} token - Hold token
+   * @returns {Promise<Object>} Release result
+   */
+  async releaseHold(token) {
+    return await storage.transaction(async (tx) => {
+      const hold = tx.find('holds', token);
+
+      if (!hold || hold.releasedAt) {
+        throw new Error('Hold not found');
+      }
+
+      tx.update('holds', token, { releasedAt: new Date() });
+
+      return {
+        success: true,
+        message: 'Hold released'
+      };
+    });
+  }
+
+  /**
+   * Remove holds older than a day
+   * Expired holds no longer count against capacity; they are kept until then
+   * for the daily limit per IP
+   *
+   * @returns {Promise<number>} Number of holds removed
+   */
+  async releaseExpiredHolds() {
+    return await storage.transaction(async (tx) => {
+      const dayAgo = Date.now() - DAY_MS;
+      return tx.removeWhere('holds', hold => {
+        return new Date(hold.expiresAt).getTime() <= dayAgo || new Date(hold.createdAt).getTime() <= dayAgo;
+      }).length;
+    });
+  }
+
+  /**
+   * Schedule removal of expired holds
+   */
+  scheduleCleanup() {
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const removed = await this.releaseExpiredHolds();
+        if (removed > 0) {
+          console.log(`⏰ Removed ${removed} old hold(s)`);
+        }
+      } catch (error) {
+        console.error('Hold cleanup failed:', error.message);
+      }
+    });
+
+    console.log(`✓ Seat holds: ${excelConfig.holdMinutes} minutes, at most ${excelConfig.maxHoldsPerIpPerDay} per IP a day`);
+  }
+}
+
+module.exports = new HoldService();
@@ -0,0 +1,270 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const excelConfig = require('../config/excel.config');
+const storage = require('../storage');
+const excelService = require('./excel.service');
+const shalaService = require('./shala.service');
+const auditService = require('./audit.service');
+const {
+  submissionValidationRules,
+  validateData,
+  sanitizeSubmissionData
+} = require('../middleware/validation.middleware');
+const { toDateKey } = require('../utils/date');
+
+// Submission fields an import may fill; everything else is set as for a form submission
+const IMPORT_FIELDS = [
+  'bookingDate',
+  'name',
+  'upiNumber',
+  'whatsappNumber',
+  'ayambilShalaName',
+  'city',
+  'email',
+  'shalaId',
+  'eventId'
+];
+
+class ImportService {
+  /**
+   * Import submissions from an uploaded XLSX or CSV file
+   * Every row is validated like a form submission and booked against the
+   * capacity left by the rows before it. Invalid rows are reported and skipped.
+   *
+   * In a dry run nothing is stored; the report shows what an import would do.
+   *
+   * @param {Object} file - Uploaded file { originalname, buffer }
+   * @param {Object} options - { dryRun, waitlist }
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Import report
+   */
+  async importSubmissions(file, { dryRun = false, waitlist = false } = {}, audit = {}) {
+    const { rows, ignoredColumns } = await this.parseFile(file);
+
+    if (rows.length === 0) {
+      throw new Error('The file has no rows to import');
+    }
+
+    if (rows.length > excelConfig.importMaxRows) {
+      throw new Error(`Imports are limited to ${excelConfig.importMaxRows} rows`);
+    }
+
+    const checked = [];
+    for (const row of rows) {
+      const { data, errors } = await validateData(submissionValidationRules, row.data);
+      sanitizeSubmissionData({ body: data }, null, () => {});
+      checked.push({ rowNumber: row.rowNumber, data, errors });
+    }
+
+    return await storage.transaction(async (tx) => {
+      const snapshot = excelService.getBookingSnapshot(tx);
+      const results = [];
+      const imported = [];
+
+      for (const row of checked) {
+        if (row.errors.length > 0) {
+          results.push({ row: row.rowNumber, success: false, errors: row.errors });
+          continue;
+        }
+
+        const outcome = this.planRow(snapshot, { ...row.data, waitlist, ipAddress: audit.ipAddress });
+
+        if (outcome.error) {
+          results.push({ row: row.rowNumber, success: false, errors: [outcome.error] });
+          continue;
+        }
+
+        // Later rows are checked against the seats taken by earlier ones
+        const submission = outcome.submission;
+        snapshot.submissions.push(submission);
+
+        if (!dryRun) {
+          tx.insert('submissions', submission);
+        }
+
+        imported.push(submission);
+        results.push({
+          row: row.rowNumber,
+          success: true,
+          id: dryRun ? undefined : submission.id,
+          status: submission.status,
+          reviewFlag: submission.reviewFlag || undefined
+        });
+      }
+
+      if (!dryRun && imported.length > 0) {
+        auditService.record(tx, {
+          ...audit,
+          action: 'submissions.import',
+          before: { file: file.originalname, rows: rows.length },
+          after: { submissionIds: imported.map(submission => submission.id) }
+        });
+      }
+
+      const failed = results.length - imported.length;
+
+      return {
+        success: true,
+        dryRun,
+        message: dryRun
+          ? `${imported.length} of ${results.length} rows can be imported`
+          : `Imported ${imported.length} of ${results.length} rows`,
+        summary: {
+          totalRows: results.length,
+          [dryRun ? 'valid' : 'imported']: imported.length,
+          failed
+        },
+        ignoredColumns,
+        rows: results
+      };
+    });
+  }
+
+  /**
+   * Apply the shala, event, capacity and duplicate rules to one row
+   *
+   * @param {Object} snapshot - Booking snapshot
+   * @param {Object} data - Validated row
+   * @returns {Object} { submission } or { error: { field, message } }
+   */
+  planRow(snapshot, data) {
+    const shala = shalaService.resolveShala(snapshot.shalas, data);
+
+    if (data.shalaId && (!shala || !shala.active)) {
+      return { error: { field: 'shalaId', message: 'Selected Ayambil Shala is not available' } };
+    }
+
+    const plan = excelService.planBookingDay(snapshot, shala, data, data.bookingDate);
+
+    if (plan.failure) {
+      return { error: { field: 'bookingDate', message: plan.failure.message } };
+    }
+
+    return { submission: excelService.buildSubmission(data, shala, plan) };
+  }
+
+  /**
+   * Read the rows of an uploaded file
+   * Columns are matched to submission fields by key or by their header in the
+   * Submissions sheet, in Gujarati or English (e.g. "નામ (Name)", "Name" or "name")
+   *
+   * @param {Object} file - Uploaded file { originalname, buffer }
+   * @returns {Promise<Object>} { rows: [{ rowNumber, data }], ignoredColumns }
+   */
+  async parseFile(file) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    try {
+      if (path.extname(file.originalname).toLowerCase() === '.csv') {
+        worksheet = await workbook.csv.read(Readable.from(file.buffer), {
+          // Keep every value as text; dates and numbers are parsed by validation
+          parserOptions: { trim: true },
+          map: value => value
+        });
+      } else {
+        await workbook.xlsx.load(file.buffer);
+        worksheet = workbook.getWorksheet('Submissions') || workbook.worksheets[0];
+      }
+    } catch (error) {
+      throw new Error('The file could not be read as .xlsx or .csv');
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+      return { rows: [], ignoredColumns: [] };
+    }
+
+    const headerAliases = this.getHeaderAliases();
+    const fieldsByColumn = {};
+    const ignoredColumns = [];
+
+    worksheet.getRow(1).eachCell((cell, columnNumber) => {
+      const header = toText(cell.value);
+      const field = headerAliases[normalizeHeader(header)];
+
+      if (field) {
+        fieldsByColumn[columnNumber] = field;
+      } else if (header) {
+        ignoredColumns.push(header);
+      }
+    });
+
+    const rows = [];
+
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const data = {};
+      Object.entries(fieldsByColumn).forEach(([columnNumber, field]) => {
+        const value = row.getCell(Number(columnNumber)).value;
+        const text = field === 'bookingDate' && value instanceof Date ? toDateKey(value) : toText(value);
+
+        if (text !== '') data[field] = text;
+      });
+
+      // Blank lines between records are not errors
+      if (Object.keys(data).length > 0) {
+        rows.push({ rowNumber, data });
+      }
+    });
+
+    return { rows, ignoredColumns };
+  }
+
+  /**
+   * Map every accepted spelling of a column header to its field
+   *
+   * @returns {Object} Normalized header -> field key
+   */
+  getHeaderAliases() {
+    const aliases = {};
+
+    excelConfig.columns
+      .filter(column => IMPORT_FIELDS.includes(column.key))
+      .forEach(column => {
+        const english = /\(([^)]+)\)/.exec(column.header);
+        const gujarati = column.header.split('(')[0];
+
+        [column.key, column.header, english && english[1], gujarati]
+          .filter(Boolean)
+          .forEach(alias => {
+            aliases[normalizeHeader(alias)] = column.key;
+          });
+      });
+
+    return aliases;
+  }
+}
+
+/**
+ * Normalize a column header for matching (case, spaces and punctuation are ignored)
+ *
+ * @param {string} header - Column header
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header || '')
+    .replace(/^\uFEFF/, '')
+    .toLowerCase()
+    .replace(/[\s_\-.:()]/g, '');
+}
+
+/**
+ * Get the text of a cell value
+ *
+ * @param {*} value - ExcelJS cell value
+ * @returns {string} Text ('' for an empty cell)
+ */
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return toText(value.text);
+    if (value.result !== undefined) return toText(value.result);
+  }
+  return String(value).trim();
+}
+
+module.exports = new ImportService();
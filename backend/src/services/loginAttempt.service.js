@@ -0,0 +1,226 @@
+const cron = require('node-cron');
+const excelConfig = require('../config/excel.config');
+const storage = require('../storage');
+const emailService = require('./email.service');
+
+class LoginAttemptService {
+  constructor() {
+    this.policy = excelConfig.loginProtection;
+  }
+
+  /**
+   * Start a login attempt if the username and IP address are not blocked
+   * The check and the count happen under one lock: the attempt is counted as a
+   * failure straight away, so parallel attempts cannot all pass the check.
+   * A successful attempt gives its count back (recordSuccess / releaseAttempt).
+   *
+   * @param {string} username - Username being tried
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object>} { allowed: true, userAttempt } or { allowed: false, locked, retryAfter (seconds) }
+   */
+  async startAttempt(username, ipAddress) {
+    return await storage.transaction(async (tx) => {
+      const now = Date.now();
+      const keys = [this.userKey(username), this.ipKey(ipAddress)];
+
+      let retryAfter = 0;
+      let locked = false;
+
+      keys.map(key => tx.find('loginAttempts', key)).filter(Boolean).forEach(attempt => {
+        const lockedUntil = attempt.lockedUntil ? new Date(attempt.lockedUntil).getTime() : 0;
+        const blockedUntil = attempt.blockedUntil ? new Date(attempt.blockedUntil).getTime() : 0;
+
+        if (lockedUntil > now) locked = true;
+        retryAfter = Math.max(retryAfter, lockedUntil - now, blockedUntil - now);
+      });
+
+      if (retryAfter > 0) {
+        return {
+          allowed: false,
+          locked,
+          retryAfter: Math.ceil(retryAfter / 1000)
+        };
+      }
+
+      this.addFailure(tx, this.ipKey(ipAddress), this.policy.ipLockoutAttempts);
+      const userAttempt = this.addFailure(tx, this.userKey(username), this.policy.lockoutAttempts);
+
+      return { allowed: true, userAttempt };
+    });
+  }
+
+  /**
+   * Handle a failed login (already counted by startAttempt)
+   * Notifies admins when this failure locked an account; the email is sent in the
+   * background so the response does not wait for the mail server
+   *
+   * @param {Object} attempt - Result of startAttempt
+   * @param {string} username - Username tried
+   * @param {string} ipAddress - Client IP address
+   * @param {boolean} accountExists - Whether the username belongs to an admin user
+   */
+  recordFailure(attempt, username, ipAddress, accountExists) {
+    const { userAttempt } = attempt;
+
+    if (userAttempt.justLocked && accountExists) {
+      console.warn(`⚠️  Admin account "${username}" locked after ${userAttempt.failures} failed logins from ${ipAddress}`);
+
+      emailService.sendLockoutNotification({
+        username,
+        ipAddress,
+        failures: userAttempt.failures,
+        lockedUntil: userAttempt.lockedUntil
+      }).catch(error => {
+        console.error('Lockout notification failed:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Clear failed logins for a username after a successful login
+   * The IP counter only gets this attempt back, so one valid account cannot reset it
+   *
+   * @param {string} username - Username
+   * @param {string} ipAddress - Client IP address
+   */
+  async recordSuccess(username, ipAddress) {
+    await storage.transaction(async (tx) => {
+      tx.remove('loginAttempts', this.userKey(username));
+      this.removeFailure(tx, this.ipKey(ipAddress), this.policy.ipLockoutAttempts);
+    });
+  }
+
+  /**
+   * Give back the count of an attempt that passed a step without completing the
+   * login (a correct password before the two-factor code)
+   *
+   * @param {string} username - Username
+   * @param {string} ipAddress - Client IP address
+   */
+  async releaseAttempt(username, ipAddress) {
+    await storage.transaction(async (tx) => {
+      this.removeFailure(tx, this.userKey(username), this.policy.lockoutAttempts);
+      this.removeFailure(tx, this.ipKey(ipAddress), this.policy.ipLockoutAttempts);
+    });
+  }
+
+  /**
+   * Take one failure off a counter, lifting the delay it set and a lockout it no longer reaches
+   * The attempt only started once earlier delays had run out, so the delay left is its own
+   *
+   * @param {Object} tx - Storage session
+   * @param {string} key - Counter key
+   * @param {number} lockoutAttempts - Failures that lock the key
+   */
+  removeFailure(tx, key, lockoutAttempts) {
+    const existing = tx.find('loginAttempts', key);
+    if (!existing) return;
+
+    const failures = (parseInt(existing.failures) || 0) - 1;
+
+    if (failures <= 0) {
+      tx.remove('loginAttempts', key);
+      return;
+    }
+
+    const changes = { failures, blockedUntil: null };
+    if (failures < lockoutAttempts) changes.lockedUntil = null;
+
+    tx.update('loginAttempts', key, changes);
+  }
+
+  /**
+   * Add one failure to a counter and work out its delay or lockout
+   *
+   * @param {Object} tx - Storage session
+   * @param {string} key - Counter key
+   * @param {number} lockoutAttempts - Failures that lock the key
+   * @returns {Object} Updated counter with justLocked set when this failure locked it
+   */
+  addFailure(tx, key, lockoutAttempts) {
+    const now = new Date();
+    const existing = tx.find('loginAttempts', key);
+
+    // Failures older than the window, or from before an expired lockout, start over
+    const isStale = existing && (
+      now - new Date(existing.lastFailureAt) > this.policy.windowMinutes * 60 * 1000 ||
+      (existing.lockedUntil && new Date(existing.lockedUntil) <= now)
+    );
+
+    const failures = existing && !isStale ? (parseInt(existing.failures) || 0) + 1 : 1;
+    const attempt = {
+      id: key,
+      failures,
+      lastFailureAt: now,
+      blockedUntil: null,
+      lockedUntil: null
+    };
+
+    if (failures >= lockoutAttempts) {
+      attempt.lockedUntil = new Date(now.getTime() + this.policy.lockoutMinutes * 60 * 1000);
+    } else if (failures > this.policy.freeAttempts) {
+      const delay = Math.min(
+        this.policy.baseDelaySeconds * Math.pow(2, failures - this.policy.freeAttempts - 1),
+        this.policy.maxDelaySeconds
+      );
+      attempt.blockedUntil = new Date(now.getTime() + delay * 1000);
+    }
+
+    if (existing) {
+      tx.update('loginAttempts', key, attempt);
+    } else {
+      tx.insert('loginAttempts', attempt);
+    }
+
+    const wasLocked = existing && !isStale && existing.lockedUntil;
+
+    return { ...attempt, justLocked: Boolean(attempt.lockedUntil) && !wasLocked };
+  }
+
+  /**
+   * Remove counters with no recent failures and no active lockout
+   *
+   * @returns {Promise<number>} Number of counters removed
+   */
+  async purgeStale() {
+    return await storage.transaction(async (tx) => {
+      const cutoff = Date.now() - this.policy.windowMinutes * 60 * 1000;
+
+      return tx.removeWhere('loginAttempts', attempt => {
+        const lockedUntil = attempt.lockedUntil ? new Date(attempt.lockedUntil).getTime() : 0;
+        return new Date(attempt.lastFailureAt).getTime() < cutoff && lockedUntil < Date.now();
+      }).length;
+    });
+  }
+
+  /**
+   * Schedule removal of stale counters
+   */
+  scheduleCleanup() {
+    cron.schedule('30 * * * *', async () => {
+      try {
+        await this.purgeStale();
+      } catch (error) {
+        console.error('Login attempt cleanup failed:', error.message);
+      }
+    });
+
+    console.log(`✓ Login protection: lockout after ${this.policy.lockoutAttempts} failed attempts for ${this.policy.lockoutMinutes} minutes`);
+  }
+
+  /**
+   * Counter key for a username
+   */
+  userKey(username) {
+    return `user:${String(username || '').trim().toLowerCase()}`;
+  }
+
+  /**
+   * Counter key for an IP address
+   */
+  ipKey(ipAddress) {
+    return `ip:${ipAddress || 'unknown'}`;
+  }
+}
+
+module.exports = new LoginAttemptService();
@@ -1,25 +1,33 @@
 const fs = require('fs').promises;
+const path = require('path');
 const ExcelJS = require('exceljs');
 const excelConfig = require('../config/excel.config');
+const storage = require('../storage');
 const backupService = require('./backup.service');
+const auditService = require('./audit.service');
+const versionService = require('./version.service');
+const { getEventDateKey, toDateKey } = require('../utils/date');
+
+// Statuses that stay in the data file when old bookings are archived
+const UNARCHIVED_STATUSES = ['waitlisted', 'cancelled'];
 
 class MonitorService {
   /**
-   * Check Excel file size
+   * Check data file size
    *
    * @returns {Promise<number>} File size in MB
    */
   async checkFileSize() {
     try {
-      const stats = await fs.stat(excelConfig.excelFilePath);
+      const stats = await fs.stat(storage.filePath);
       const sizeInMB = stats.size / (1024 * 1024);
 
       if (sizeInMB > excelConfig.warningFileSizeMB) {
-        console.warn(`⚠️  Excel file is ${sizeInMB.toFixed(2)}MB (Warning threshold: ${excelConfig.warningFileSizeMB}MB)`);
+        console.warn(`⚠️  Data file is ${sizeInMB.toFixed(2)}MB (Warning threshold: ${excelConfig.warningFileSizeMB}MB)`);
       }
 
       if (sizeInMB > excelConfig.maxFileSizeMB) {
-        console.error(`❌ Excel file exceeds maximum size: ${sizeInMB.toFixed(2)}MB > ${excelConfig.maxFileSizeMB}MB`);
+        console.error(`❌ Data file exceeds maximum size: ${sizeInMB.toFixed(2)}MB > ${excelConfig.maxFileSizeMB}MB`);
         console.error('   Consider archiving old records immediately!');
       }
 
@@ -31,26 +39,27 @@ class MonitorService {
   }
 
   /**
-   * Get row count in Excel file
+   * Get submission row count in the data file
    *
    * @returns {Promise<number>} Number of rows (excluding header)
    */
   async getRowCount() {
     try {
-      const workbook = new ExcelJS.Workbook();
-      await workbook.xlsx.readFile(excelConfig.excelFilePath);
-      const worksheet = workbook.getWorksheet('Submissions');
-
-      const rowCount = worksheet.rowCount - 1; // Minus header
+      const submissions = await storage.getAll('submissions');
+      const rowCount = submissions.length;
 
       if (rowCount > excelConfig.warningRows) {
-        console.warn(`⚠️  Excel file has ${rowCount} rows (Warning threshold: ${excelConfig.warningRows})`);
+        console.warn(`⚠️  Data file has ${rowCount} rows (Warning threshold: ${excelConfig.warningRows})`);
         console.warn('   Consider archiving old records soon');
       }
 
       if (rowCount > excelConfig.maxRows) {
-        console.error(`❌ Excel file exceeds maximum rows: ${rowCount} > ${excelConfig.maxRows}`);
-        console.error('   Archive old records or migrate to database!');
+        console.error(`❌ Data file exceeds maximum rows: ${rowCount} > ${excelConfig.maxRows}`);
+        if (storage.name === 'excel') {
+          console.error('   Archive old records or switch STORAGE_BACKEND to sqlite!');
+        } else {
+          console.error('   Consider archiving old records!');
+        }
       }
 
       return rowCount;
@@ -74,7 +83,7 @@ class MonitorService {
         backupService.listBackups()
       ]);
 
-      const stats = await fs.stat(excelConfig.excelFilePath);
+      const stats = await fs.stat(storage.filePath);
 
       // Calculate health status
       let status = 'healthy';
@@ -105,7 +114,7 @@ class MonitorService {
         status,
         timestamp: new Date().toISOString(),
         file: {
-          path: excelConfig.excelFilePath,
+          path: storage.filePath,
           sizeMB: parseFloat(fileSize.toFixed(2)),
           sizeBytes: stats.size,
           lastModified: stats.mtime,
@@ -137,26 +146,22 @@ class MonitorService {
   }
 
   /**
-   * Archive old records (older than specified months)
+   * Archive old records: bookings whose booking date is older than the given months
+   * Waitlisted, cancelled and trashed submissions are left in place
    *
-   * @param {number} monthsOld - Archive records older than this many months
+   * @param {number} monthsOld - Archive bookings dated more than this many months ago
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
    * @returns {Promise<Object>} Archive results
    */
-  async archiveOldRecords(monthsOld = 6) {
+  async archiveOldRecords(monthsOld = 6, audit = {}) {
     try {
-      const ExcelJS = require('exceljs');
-      const path = require('path');
-
       // Create backup before archiving
       await backupService.createBackup();
 
-      const workbook = new ExcelJS.Workbook();
-      await workbook.xlsx.readFile(excelConfig.excelFilePath);
-      const worksheet = workbook.getWorksheet('Submissions');
-
       // Calculate cutoff date
       const cutoffDate = new Date();
       cutoffDate.setMonth(cutoffDate.getMonth() - monthsOld);
+      const cutoffKey = getEventDateKey(cutoffDate);
 
       // Create archive workbook
       const archiveWorkbook = new ExcelJS.Workbook();
@@ -171,56 +176,56 @@ class MonitorService {
         fgColor: { argb: 'FFE0E0E0' }
       };
 
-      const rowsToArchive = [];
-
-      worksheet.eachRow((row, rowNumber) => {
-        if (rowNumber > 1) {
-          const date = new Date(row.getCell(2).value);
-          if (date < cutoffDate) {
-            // Copy row to archive
-            const rowData = {};
-            excelConfig.columns.forEach((col, index) => {
-              rowData[col.key] = row.getCell(index + 1).value;
-            });
-            archiveSheet.addRow(rowData);
-            rowsToArchive.push(rowNumber);
-          }
+      const result = await storage.transaction(async (tx) => {
+        // The seats are on past days, so nothing is handed to the waitlist
+        const archivedRecords = tx.removeWhere('submissions', record => {
+          const bookingKey = toDateKey(record.bookingDate);
+
+          return Boolean(bookingKey) && bookingKey < cutoffKey &&
+            !record.deletedAt && !UNARCHIVED_STATUSES.includes(record.status);
+        });
+
+        if (archivedRecords.length === 0) {
+          return {
+            success: true,
+            message: 'No records to archive',
+            archivedCount: 0
+          };
         }
-      });
 
-      if (rowsToArchive.length === 0) {
-        return {
-          success: true,
-          message: 'No records to archive',
-          archivedCount: 0
-        };
-      }
+        // Copy rows to archive; their version history is not kept
+        archivedRecords.forEach(record => archiveSheet.addRow(record));
+        versionService.removeFor(tx, archivedRecords.map(record => record.id));
 
-      // Save archive
-      const timestamp = new Date().toISOString().split('T')[0];
-      const archivePath = path.join(
-        excelConfig.archiveDir,
-        `archive_${timestamp}_${rowsToArchive.length}records.xlsx`
-      );
+        // Save archive (the removal is only committed if this succeeds)
+        const timestamp = getEventDateKey();
+        const archivePath = path.join(
+          excelConfig.archiveDir,
+          `archive_${timestamp}_${archivedRecords.length}records.xlsx`
+        );
 
-      await archiveWorkbook.xlsx.writeFile(archivePath);
+        await fs.mkdir(excelConfig.archiveDir, { recursive: true });
+        await archiveWorkbook.xlsx.writeFile(archivePath);
 
-      // Remove archived rows from main file (in reverse to maintain indices)
-      for (let i = rowsToArchive.length - 1; i >= 0; i--) {
-        worksheet.spliceRows(rowsToArchive[i], 1);
-      }
+        console.log(`✓ Archived ${archivedRecords.length} records to ${archivePath}`);
 
-      await workbook.xlsx.writeFile(excelConfig.excelFilePath);
+        auditService.record(tx, {
+          ...audit,
+          action: 'submissions.archive',
+          before: { cutoffDate, submissionIds: archivedRecords.map(record => record.id) },
+          after: { archiveFile: path.basename(archivePath) }
+        });
 
-      console.log(`✓ Archived ${rowsToArchive.length} records to ${archivePath}`);
+        return {
+          success: true,
+          message: `Successfully archived ${archivedRecords.length} records`,
+          archivedCount: archivedRecords.length,
+          archivePath,
+          cutoffDate
+        };
+      });
 
-      return {
-        success: true,
-        message: `Successfully archived ${rowsToArchive.length} records`,
-        archivedCount: rowsToArchive.length,
-        archivePath,
-        cutoffDate
-      };
+      return result;
     } catch (error) {
       console.error('Archive failed:', error.message);
       throw error;
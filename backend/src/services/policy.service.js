@@ -0,0 +1,102 @@
+const excelConfig = require('../config/excel.config');
+const { getEventDateKey, getEventHour, addDays, daysBetween, eachDateKey, getDayOfWeek } = require('../utils/date');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEKDAYS_GU = ['રવિવાર', 'સોમવાર', 'મંગળવાર', 'બુધવાર', 'ગુરુવાર', 'શુક્રવાર', 'શનિવાર'];
+
+class PolicyService {
+  constructor() {
+    this.policy = excelConfig.bookingPolicy;
+  }
+
+  /**
+   * Check a day against the booking window
+   * Capacity is checked separately; this only decides whether the day can be booked at all
+   *
+   * @param {string} dateKey - YYYY-MM-DD day key
+   * @param {Date} now - Current time
+   * @returns {Object|null} { reason, error, errorGu } if the day is closed, otherwise null
+   */
+  checkDate(dateKey, now = new Date()) {
+    const today = getEventDateKey(now);
+
+    if (!dateKey) {
+      return {
+        reason: 'invalid',
+        error: 'Invalid booking date',
+        errorGu: 'અમાન્ય બુકિંગ તારીખ'
+      };
+    }
+
+    if (dateKey < today) {
+      return {
+        reason: 'past',
+        error: 'Past dates cannot be booked',
+        errorGu: 'પાછલી તારીખો બુક કરી શકાતી નથી'
+      };
+    }
+
+    const { sameDayCutoffHour, maxAdvanceDays, disabledWeekdays } = this.policy;
+
+    if (dateKey === today && sameDayCutoffHour !== null && getEventHour(now) >= sameDayCutoffHour) {
+      const cutoff = `${String(sameDayCutoffHour).padStart(2, '0')}:00`;
+      return {
+        reason: 'cutoff',
+        error: `Same-day bookings close at ${cutoff}`,
+        errorGu: `આજના દિવસનું બુકિંગ ${cutoff} વાગ્યે બંધ થાય છે`
+      };
+    }
+
+    if (maxAdvanceDays !== null && daysBetween(today, dateKey) > maxAdvanceDays) {
+      return {
+        reason: 'too_far',
+        error: `Bookings can be made at most ${maxAdvanceDays} days in advance`,
+        errorGu: `બુકિંગ વધુમાં વધુ ${maxAdvanceDays} દિવસ અગાઉથી જ કરી શકાય છે`
+      };
+    }
+
+    const weekday = getDayOfWeek(dateKey);
+
+    if (disabledWeekdays.includes(weekday)) {
+      return {
+        reason: 'weekday',
+        error: `Bookings are not accepted on ${WEEKDAYS[weekday]}`,
+        errorGu: `${WEEKDAYS_GU[weekday]}ના દિવસે બુકિંગ સ્વીકારવામાં આવતું નથી`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the last day that can be booked
+   *
+   * @param {Date} now - Current time
+   * @returns {string|null} YYYY-MM-DD day key, or null when there is no advance limit
+   */
+  getLastBookableDate(now = new Date()) {
+    if (this.policy.maxAdvanceDays === null) return null;
+    return addDays(getEventDateKey(now), this.policy.maxAdvanceDays);
+  }
+
+  /**
+   * Get the days in a range that the booking window closes
+   *
+   * @param {string} startKey - YYYY-MM-DD day key
+   * @param {string} endKey - YYYY-MM-DD day key
+   * @param {Date} now - Current time
+   * @returns {Object} Day keys mapped to the reason they are closed
+   */
+  getClosedDates(startKey, endKey, now = new Date()) {
+    const closed = {};
+
+    eachDateKey(startKey, endKey).forEach(dateKey => {
+      const result = this.checkDate(dateKey, now);
+      if (result) closed[dateKey] = result.reason;
+    });
+
+    return closed;
+  }
+}
+
+module.exports = new PolicyService();
@@ -0,0 +1,154 @@
+const PDFDocument = require('pdfkit');
+const { toDateKey, getEventDateKey } = require('../utils/date');
+
+// Noto Sans Gujarati is embedded in every receipt. The Gujarati subset has no
+// Latin letters or digits, so those are drawn with the Latin subset of the same family.
+const FONTS = {
+  gujarati: require.resolve('@fontsource/noto-sans-gujarati/files/noto-sans-gujarati-gujarati-400-normal.woff'),
+  latin: require.resolve('@fontsource/noto-sans-gujarati/files/noto-sans-gujarati-latin-400-normal.woff')
+};
+
+// Runs of Gujarati script (with the spaces between Gujarati words)
+const GUJARATI_RUN = /([\u0A80-\u0AFF](?:[\u0A80-\u0AFF\s]*[\u0A80-\u0AFF])?)/;
+
+const STATUS_LABELS = {
+  pending: 'બુક થયેલ (Booked)',
+  reviewed: 'કન્ફર્મ (Confirmed)',
+  waitlisted: 'પ્રતીક્ષા યાદી (Waitlisted)',
+  cancelled: 'રદ (Cancelled)',
+  archived: 'પૂર્ણ (Completed)'
+};
+
+class ReceiptService {
+  /**
+   * Render the booking receipt of a submission as a PDF
+   * A multi-day submission gets one page per booked day
+   *
+   * @param {Object|Array<Object>} submissions - Submission, or the bookings of a multi-day submission
+   * @returns {Promise<Buffer>} PDF file
+   */
+  async generateReceipt(submissions) {
+    const bookings = Array.isArray(submissions) ? submissions : [submissions];
+
+    const doc = new PDFDocument({
+      size: 'A5',
+      margin: 40,
+      autoFirstPage: false,
+      info: {
+        Title: `Booking Receipt ${bookings[0].parentId || bookings[0].id}`,
+        Author: 'વિહાર રક્ષા તપ'
+      }
+    });
+
+    doc.registerFont('gujarati', FONTS.gujarati);
+    doc.registerFont('latin', FONTS.latin);
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    bookings.forEach(booking => {
+      doc.addPage();
+      this.drawReceipt(doc, booking);
+    });
+
+    doc.end();
+    return await finished;
+  }
+
+  /**
+   * Draw one booking on the current page
+   *
+   * @param {PDFDocument} doc - Document
+   * @param {Object} submission - Submission
+   */
+  drawReceipt(doc, submission) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    doc.fillColor('#667eea');
+    writeText(doc, 'વિહાર રક્ષા તપ', { size: 22, align: 'center', width });
+    doc.fillColor('#333333');
+    // Centered lines stay in one script: pdfkit cannot center text continued across fonts
+    writeText(doc, 'બુકિંગ રસીદ', { size: 13, align: 'center', width });
+    writeText(doc, 'Booking Receipt', { size: 11, align: 'center', width });
+
+    doc.moveDown(0.5);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#667eea').stroke();
+    doc.moveDown(1);
+
+    const rows = [
+      ['સબમિશન ID (Submission ID)', submission.id],
+      ['નામ (Name)', submission.name],
+      ['આયંબિલ શાળા (Ayambil Shala)', submission.ayambilShalaName],
+      ['શહેર (City)', submission.city],
+      ['બુકિંગ તારીખ (Booking Date)', formatDateKey(toDateKey(submission.bookingDate))],
+      ['સ્થિતિ (Status)', STATUS_LABELS[submission.status] || submission.status],
+      ['સબમિશન તારીખ (Submitted On)', formatDateKey(toDateKey(submission.submissionDate))]
+    ];
+
+    if (submission.parentId) {
+      rows.splice(1, 0, ['બહુ-દિવસ બુકિંગ ID (Multi-day Booking ID)', submission.parentId]);
+    }
+
+    rows.forEach(([label, value]) => {
+      doc.fillColor('#667eea');
+      writeText(doc, label, { size: 9, width });
+      doc.fillColor('#000000');
+      writeText(doc, value ? String(value) : '-', { size: 12, width });
+      doc.moveDown(0.5);
+    });
+
+    doc.moveDown(1);
+    doc.fillColor('#666666');
+    writeText(doc, 'બુકિંગ જોવા, રદ કરવા કે તારીખ બદલવા માટે સબમિશન ID અને WhatsApp નંબરનો ઉપયોગ કરો.', { size: 9, width });
+    writeText(doc, 'Use the submission ID and your WhatsApp number to view, cancel or reschedule this booking.', { size: 9, width });
+    doc.moveDown(0.5);
+    writeText(doc, `Issued on ${formatDateKey(getEventDateKey())}`, { size: 8, width });
+  }
+
+  /**
+   * Get the download filename of a receipt
+   *
+   * @param {string} id - Submission ID
+   * @returns {string} Filename
+   */
+  getFilename(id) {
+    return `receipt_${id}.pdf`;
+  }
+}
+
+/**
+ * Write a line of mixed Gujarati and Latin text, switching fonts between runs
+ *
+ * @param {PDFDocument} doc - Document
+ * @param {string} text - Text
+ * @param {Object} options - { size } plus pdfkit text options
+ */
+function writeText(doc, text, { size, ...options }) {
+  const runs = text.split(GUJARATI_RUN).filter(run => run !== '');
+
+  doc.fontSize(size);
+  runs.forEach((run, index) => {
+    doc
+      .font(GUJARATI_RUN.test(run) ? 'gujarati' : 'latin')
+      .text(run, { ...options, continued: index < runs.length - 1 });
+  });
+}
+
+/**
+ * Format a YYYY-MM-DD day key as DD/MM/YYYY
+ *
+ * @param {string|null} key - Day key
+ * @returns {string|null} Formatted date
+ */
+function formatDateKey(key) {
+  if (!key) return null;
+  const [year, month, day] = key.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+module.exports = new ReceiptService();
@@ -0,0 +1,163 @@
+const storage = require('../storage');
+const auditService = require('./audit.service');
+const { generateId } = require('../utils/helpers');
+
+class ShalaService {
+  /**
+   * Get all shalas
+   *
+   * @param {boolean} activeOnly - Only return active shalas
+   * @returns {Promise<Array>} Shalas sorted by name
+   */
+  async listShalas(activeOnly = false) {
+    const shalas = await storage.getAll('shalas');
+
+    return shalas
+      .filter(shala => !activeOnly || shala.active)
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  /**
+   * Get shala by ID
+   *
+   * @param {string} id - Shala ID
+   * @returns {Promise<Object|null>} Shala or null
+   */
+  async getShalaById(id) {
+    return await storage.transaction(async (tx) => tx.find('shalas', id));
+  }
+
+  /**
+   * Add a shala to the master list
+   *
+   * @param {Object} data - { name, city, maxBookingsPerDay, active }
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Created shala
+   */
+  async createShala(data, audit = {}) {
+    return await storage.transaction(async (tx) => {
+      if (this.findByName(tx.getAll('shalas'), data.name)) {
+        throw new Error('A shala with this name already exists');
+      }
+
+      const shala = {
+        id: generateId('SHL'),
+        name: data.name,
+        city: data.city || null,
+        maxBookingsPerDay: data.maxBookingsPerDay !== undefined ? parseInt(data.maxBookingsPerDay) : null,
+        active: data.active === undefined ? true : data.active === true || data.active === 'true',
+        createdAt: new Date()
+      };
+
+      tx.insert('shalas', shala);
+      auditService.record(tx, { ...audit, action: 'shala.create', targetId: shala.id, after: shala });
+
+      return shala;
+    });
+  }
+
+  /**
+   * Update a shala
+   *
+   * @param {string} id - Shala ID
+   * @param {Object} updates - Fields to update
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Updated shala
+   */
+  async updateShala(id, updates, audit = {}) {
+    return await storage.transaction(async (tx) => {
+      const before = tx.find('shalas', id);
+      const changes = {};
+      if (updates.name) changes.name = updates.name;
+      if (updates.city !== undefined) changes.city = updates.city;
+      if (updates.maxBookingsPerDay !== undefined) changes.maxBookingsPerDay = updates.maxBookingsPerDay;
+      if (updates.active !== undefined) changes.active = updates.active === true || updates.active === 'true';
+
+      if (changes.name) {
+        const existing = this.findByName(tx.getAll('shalas'), changes.name);
+        if (existing && existing.id !== id) {
+          throw new Error('A shala with this name already exists');
+        }
+      }
+
+      const shala = tx.update('shalas', id, changes);
+
+      if (!shala) {
+        throw new Error('Shala not found');
+      }
+
+      auditService.record(tx, { ...audit, action: 'shala.update', targetId: id, before, after: shala });
+
+      return shala;
+    });
+  }
+
+  /**
+   * Remove a shala from the master list
+   * Existing bookings keep their shala name
+   *
+   * @param {string} id - Shala ID
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteShala(id, audit = {}) {
+    return await storage.transaction(async (tx) => {
+      const before = tx.find('shalas', id);
+
+      if (!before || !tx.remove('shalas', id)) {
+        throw new Error('Shala not found');
+      }
+
+      auditService.record(tx, { ...audit, action: 'shala.delete', targetId: id, before });
+
+      return {
+        success: true,
+        message: 'Shala deleted successfully'
+      };
+    });
+  }
+
+  /**
+   * Find a shala by name (case-insensitive)
+   *
+   * @param {Array} shalas - Shala records
+   * @param {string} name - Shala name
+   * @returns {Object|null} Shala or null
+   */
+  findByName(shalas, name) {
+    if (!name) return null;
+    const normalized = String(name).trim().toLowerCase();
+    return shalas.find(shala => String(shala.name).trim().toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Resolve the shala a booking belongs to
+   * Matches by ID first, then by the free-text shala name
+   *
+   * @param {Array} shalas - Shala records
+   * @param {Object} booking - { shalaId, ayambilShalaName }
+   * @returns {Object|null} Shala or null for bookings outside the master list
+   */
+  resolveShala(shalas, { shalaId, ayambilShalaName }) {
+    if (shalaId) {
+      return shalas.find(shala => shala.id === shalaId) || null;
+    }
+    return this.findByName(shalas, ayambilShalaName);
+  }
+
+  /**
+   * Get the capacity bucket a booking is counted in
+   * Bookings that do not match any shala share one bucket (null)
+   *
+   * @param {Array} shalas - Shala records
+   * @param {Object} booking - { shalaId, ayambilShalaName }
+   * @returns {string|null} Shala ID or null
+   */
+  getShalaKey(shalas, booking) {
+    if (booking.shalaId) return booking.shalaId;
+    const shala = this.findByName(shalas, booking.ayambilShalaName);
+    return shala ? shala.id : null;
+  }
+}
+
+module.exports = new ShalaService();
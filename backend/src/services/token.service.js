@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const excelConfig = require('../config/excel.config');
+const storage = require('../storage');
+const { generateId } = require('../utils/helpers');
+
+class TokenService {
+  /**
+   * Issue a refresh token for a new login
+   *
+   * @param {string} userId - Admin user ID
+   * @returns {Promise<string>} Refresh token
+   */
+  async createRefreshToken(userId) {
+    return await storage.transaction(async (tx) => this.insertRefreshToken(tx, userId, null));
+  }
+
+  /**
+   * Exchange a refresh token for a new one
+   * Each refresh token works once. Presenting a used token again means it was copied,
+   * so every token from that login is revoked.
+   *
+   * @param {string} token - Refresh token
+   * @returns {Promise<Object>} { userId, refreshToken }
+   */
+  async rotateRefreshToken(token) {
+    const result = await storage.transaction(async (tx) => {
+      const record = this.findRefreshToken(tx, token);
+
+      if (!record || new Date(record.expiresAt) <= new Date()) {
+        return { error: 'Invalid refresh token' };
+      }
+
+      if (record.revokedAt) {
+        this.revokeFamily(tx, record.familyId);
+        return { error: 'Refresh token reuse detected' };
+      }
+
+      const refreshToken = this.insertRefreshToken(tx, record.userId, record.familyId);
+      tx.update('refreshTokens', record.id, {
+        revokedAt: new Date(),
+        replacedBy: refreshToken.split('.')[0]
+      });
+
+      return { userId: record.userId, refreshToken };
+    });
+
+    // Thrown outside the transaction so a detected reuse still revokes the family
+    if (result.error) {
+      if (result.error === 'Refresh token reuse detected') {
+        console.warn('⚠️  Refresh token reuse detected, login revoked');
+      }
+      throw new Error('Invalid refresh token');
+    }
+
+    return result;
+  }
+
+  /**
+   * Sign out one session: revoke its access token and refresh token
+   *
+   * @param {Object} payload - Decoded access token
+   * @param {string} refreshToken - Refresh token of the session (optional)
+   */
+  async logout(payload, refreshToken) {
+    await storage.transaction(async (tx) => {
+      this.insertRevocation(tx, payload.jti, payload.sub, new Date(payload.exp * 1000));
+
+      const record = refreshToken ? this.findRefreshToken(tx, refreshToken) : null;
+
+      if (record && record.userId === payload.sub) {
+        this.revokeFamily(tx, record.familyId);
+      }
+    });
+  }
+
+  /**
+   * Sign out every session of a user
+   *
+   * @param {string} userId - Admin user ID
+   */
+  async logoutAll(userId) {
+    await storage.transaction(async (tx) => {
+      const now = new Date();
+
+      // Every access token issued before now has expired by this time
+      const expiresAt = new Date(now.getTime() + excelConfig.accessTokenMinutes * 60 * 1000);
+      this.insertRevocation(tx, null, userId, expiresAt);
+
+      tx.getAll('refreshTokens')
+        .filter(record => record.userId === userId && !record.revokedAt)
+        .forEach(record => tx.update('refreshTokens', record.id, { revokedAt: now }));
+    });
+  }
+
+  /**
+   * Whether an access token has been revoked
+   *
+   * @param {Object} payload - Decoded access token
+   * @returns {Promise<boolean>} True if revoked
+   */
+  async isRevoked(payload) {
+    // Checked on every admin request, so read from the cache
+    const revocations = await storage.getCached('revokedTokens');
+
+    return revocations.some(revocation => {
+      if (revocation.jti) {
+        return revocation.jti === payload.jti;
+      }
+
+      // iat is in whole seconds: a token from the second of the revocation is kept,
+      // so a login straight after "sign out everywhere" is not rejected
+      return revocation.userId === payload.sub &&
+        payload.iat < Math.floor(new Date(revocation.revokedAt).getTime() / 1000);
+    });
+  }
+
+  /**
+   * Remove expired refresh tokens and revocations
+   * An expired token is rejected by its signature check, so its revocation is no longer needed
+   *
+   * @returns {Promise<number>} Number of rows removed
+   */
+  async purgeExpired() {
+    return await storage.transaction(async (tx) => {
+      const now = new Date();
+      const isExpired = record => new Date(record.expiresAt) <= now;
+
+      return tx.removeWhere('refreshTokens', isExpired).length +
+        tx.removeWhere('revokedTokens', isExpired).length;
+    });
+  }
+
+  /**
+   * Schedule removal of expired tokens
+   */
+  scheduleCleanup() {
+    cron.schedule('0 * * * *', async () => {
+      try {
+        const removed = await this.purgeExpired();
+        if (removed > 0) {
+          console.log(`⏰ Removed ${removed} expired token record(s)`);
+        }
+      } catch (error) {
+        console.error('Token cleanup failed:', error.message);
+      }
+    });
+
+    console.log(`✓ Admin sessions: ${excelConfig.accessTokenMinutes} minute access tokens, ${excelConfig.refreshTokenDays} day refresh tokens`);
+  }
+
+  /**
+   * Store a new refresh token
+   * The token is "{id}.{secret}"; only a hash of the secret is stored
+   *
+   * @param {Object} tx - Storage session
+   * @param {string} userId - Admin user ID
+   * @param {string|null} familyId - Login the token belongs to, null for a new login
+   * @returns {string} Refresh token
+   */
+  insertRefreshToken(tx, userId, familyId) {
+    const id = generateId('RFT');
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    tx.insert('refreshTokens', {
+      id,
+      userId,
+      familyId: familyId || id,
+      tokenHash: this.hashSecret(secret),
+      expiresAt: new Date(now.getTime() + excelConfig.refreshTokenDays * 24 * 60 * 60 * 1000),
+      createdAt: now,
+      revokedAt: null,
+      replacedBy: null
+    });
+
+    return `${id}.${secret}`;
+  }
+
+  /**
+   * Find the stored record of a refresh token
+   *
+   * @param {Object} tx - Storage session
+   * @param {string} token - Refresh token
+   * @returns {Object|null} Record or null if the token is unknown
+   */
+  findRefreshToken(tx, token) {
+    const [id, secret] = String(token || '').split('.');
+    if (!id || !secret) return null;
+
+    const record = tx.find('refreshTokens', id);
+    if (!record) return null;
+
+    const expected = Buffer.from(record.tokenHash, 'hex');
+    const actual = Buffer.from(this.hashSecret(secret), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? record : null;
+  }
+
+  /**
+   * Revoke every refresh token from one login
+   *
+   * @param {Object} tx - Storage session
+   * @param {string} familyId - Login the tokens belong to
+   */
+  revokeFamily(tx, familyId) {
+    const now = new Date();
+
+    tx.getAll('refreshTokens')
+      .filter(record => record.familyId === familyId && !record.revokedAt)
+      .forEach(record => tx.update('refreshTokens', record.id, { revokedAt: now }));
+  }
+
+  /**
+   * Record a revoked access token
+   *
+   * @param {Object} tx - Storage session
+   * @param {string|null} jti - Token ID, or null to revoke all earlier tokens of the user
+   * @param {string} userId - Admin user ID
+   * @param {Date} expiresAt - When the revocation can be forgotten
+   */
+  insertRevocation(tx, jti, userId, expiresAt) {
+    tx.insert('revokedTokens', {
+      id: generateId('RVK'),
+      jti,
+      userId,
+      revokedAt: new Date(),
+      expiresAt
+    });
+  }
+
+  /**
+   * Hash a refresh token secret
+   *
+   * @param {string} secret - Token secret
+   * @returns {string} SHA-256 hex digest
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+}
+
+module.exports = new TokenService();
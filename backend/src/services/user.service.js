@@ -0,0 +1,521 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const auditService = require('./audit.service');
+const excelConfig = require('../config/excel.config');
+const rolesConfig = require('../config/roles.config');
+const { hashPassword, comparePassword } = require('../middleware/auth.middleware');
+const { generateId } = require('../utils/helpers');
+const totp = require('../utils/totp');
+
+class UserService {
+  /**
+   * Create the first superadmin from ADMIN_USERNAME / ADMIN_PASSWORD_HASH
+   * Only runs while no admin users exist
+   */
+  async ensureSeedUser() {
+    const seeded = await storage.transaction(async (tx) => {
+      if (tx.getAll('adminUsers').length > 0) return null;
+
+      const passwordHash = process.env.ADMIN_PASSWORD_HASH;
+      if (!passwordHash) return null;
+
+      const user = {
+        id: generateId('USR'),
+        username: process.env.ADMIN_USERNAME || 'admin',
+        passwordHash,
+        role: 'superadmin',
+        active: true,
+        createdAt: new Date(),
+        lastLoginAt: null,
+        totpEnabled: false
+      };
+
+      tx.insert('adminUsers', user);
+
+      return user;
+    });
+
+    if (seeded) {
+      console.log(`✓ Created superadmin "${seeded.username}" from environment credentials`);
+    }
+  }
+
+  /**
+   * Check that two-factor secrets can be read before the server starts
+   * Fails without TOTP_ENCRYPTION_KEY while an admin uses two-factor login
+   */
+  async checkTwoFactorKey() {
+    const users = (await storage.getAll('adminUsers')).filter(user => user.totpEnabled);
+
+    if (users.length === 0) return;
+
+    if (!excelConfig.twoFactor.encryptionKey) {
+      throw new Error(`TOTP_ENCRYPTION_KEY is required: ${users.length} admin(s) use two-factor login`);
+    }
+
+    users.forEach(user => {
+      try {
+        totp.decryptSecret(user.totpSecret, excelConfig.twoFactor.encryptionKey);
+      } catch (error) {
+        console.warn(`⚠️  Two-factor secret of "${user.username}" cannot be read with TOTP_ENCRYPTION_KEY; reset their two-factor login`);
+      }
+    });
+  }
+
+  /**
+   * Verify a username and password
+   *
+   * @param {string} username - Username
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>} { success, user } or { success: false, message }
+   */
+  async authenticate(username, password) {
+    const user = this.findByUsername(await storage.getAll('adminUsers'), username);
+
+    if (!user || !user.active || !(await comparePassword(password, user.passwordHash))) {
+      return {
+        success: false,
+        message: 'Invalid credentials'
+      };
+    }
+
+    // With two-factor login the sign-in completes in verifySecondFactor
+    if (!user.totpEnabled) {
+      await this.recordLogin(user.id);
+    }
+
+    return {
+      success: true,
+      user: this.toPublicUser(user)
+    };
+  }
+
+  /**
+   * Record a completed sign-in
+   *
+   * @param {string} id - User ID
+   */
+  async recordLogin(id) {
+    await storage.transaction(async (tx) => tx.update('adminUsers', id, { lastLoginAt: new Date() }));
+  }
+
+  /**
+   * Start two-factor enrolment with a new secret
+   * The secret is not used for login until confirmed with enableTwoFactor
+   *
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async setupTwoFactor(id) {
+    if (!excelConfig.twoFactor.encryptionKey) {
+      throw new Error('Two-factor login is not configured');
+    }
+
+    return await storage.transaction(async (tx) => {
+      const user = tx.find('adminUsers', id);
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.totpEnabled) {
+        throw new Error('Two-factor login is already enabled');
+      }
+
+      const secret = totp.generateSecret();
+      tx.update('adminUsers', id, {
+        totpSecret: totp.encryptSecret(secret, excelConfig.twoFactor.encryptionKey),
+        totpLastStep: null
+      });
+
+      return {
+        secret,
+        otpauthUri: totp.buildOtpauthUri(secret, user.username, excelConfig.twoFactor.issuer)
+      };
+    });
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator app
+   *
+   * @param {string} id - User ID
+   * @param {string} code - 6-digit code
+   * @returns {Promise<Array<string>>} Backup codes (shown once)
+   */
+  async enableTwoFactor(id, code) {
+    const backup = await this.generateBackupCodes();
+
+    return await storage.transaction(async (tx) => {
+      const user = tx.find('adminUsers', id);
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.totpEnabled) {
+        throw new Error('Two-factor login is already enabled');
+      }
+
+      const step = user.totpSecret ? this.verifyTotp(user, code) : null;
+
+      if (step === null) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      tx.update('adminUsers', id, {
+        totpEnabled: true,
+        totpLastStep: step,
+        backupCodes: backup.hashes
+      });
+
+      return backup.codes;
+    });
+  }
+
+  /**
+   * Turn off two-factor login
+   * Without a code, this is an admin reset for a user who lost their device
+   *
+   * @param {string} id - User ID
+   * @param {string} code - Current code or backup code (omit for an admin reset)
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   */
+  async disableTwoFactor(id, code, audit = {}) {
+    if (code !== undefined && !(await this.verifySecondFactor(id, code))) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    await storage.transaction(async (tx) => {
+      const before = tx.find('adminUsers', id);
+
+      if (!before) {
+        throw new Error('User not found');
+      }
+
+      const after = tx.update('adminUsers', id, {
+        totpEnabled: false,
+        totpSecret: null,
+        totpLastStep: null,
+        backupCodes: null
+      });
+
+      auditService.record(tx, {
+        ...audit,
+        action: 'user.disable_2fa',
+        targetId: id,
+        before: this.toPublicUser(before),
+        after: this.toPublicUser(after)
+      });
+    });
+  }
+
+  /**
+   * Replace the backup codes after checking a current code
+   *
+   * @param {string} id - User ID
+   * @param {string} code - Current code or backup code
+   * @returns {Promise<Array<string>>} New backup codes (shown once)
+   */
+  async regenerateBackupCodes(id, code) {
+    if (!(await this.verifySecondFactor(id, code))) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const backup = await this.generateBackupCodes();
+
+    await storage.transaction(async (tx) => tx.update('adminUsers', id, { backupCodes: backup.hashes }));
+
+    return backup.codes;
+  }
+
+  /**
+   * Check a TOTP code or a backup code
+   * Each TOTP step and each backup code can be used only once
+   *
+   * @param {string} id - User ID
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<boolean>} True if the code is valid
+   */
+  async verifySecondFactor(id, code) {
+    const user = await storage.transaction(async (tx) => tx.find('adminUsers', id));
+
+    if (!user || !user.totpEnabled) {
+      return false;
+    }
+
+    const step = this.verifyTotp(user, code);
+
+    if (step !== null) {
+      return await storage.transaction(async (tx) => {
+        const current = tx.find('adminUsers', id);
+
+        if (typeof current.totpLastStep === 'number' && step <= current.totpLastStep) {
+          return false;
+        }
+
+        tx.update('adminUsers', id, { totpLastStep: step });
+
+        return true;
+      });
+    }
+
+    // Backup codes look like "1a2b3-c4d5e"; accept them without the dash too
+    const compact = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+    if (compact.length !== 10) return false;
+
+    const normalized = `${compact.slice(0, 5)}-${compact.slice(5)}`;
+    const hashes = user.backupCodes || [];
+
+    for (const hash of hashes) {
+      if (await comparePassword(normalized, hash)) {
+        return await storage.transaction(async (tx) => {
+          const current = tx.find('adminUsers', id);
+          const remaining = (current.backupCodes || []).filter(h => h !== hash);
+
+          if (remaining.length === (current.backupCodes || []).length) {
+            return false;
+          }
+
+          tx.update('adminUsers', id, { backupCodes: remaining });
+
+          return true;
+        });
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Check a TOTP code against the user's stored (encrypted) secret
+   *
+   * @param {Object} user - Admin user record
+   * @param {string} code - Code entered by the user
+   * @returns {number|null} Matching time step, or null if the code is wrong
+   */
+  verifyTotp(user, code) {
+    let secret;
+
+    try {
+      secret = totp.decryptSecret(user.totpSecret, excelConfig.twoFactor.encryptionKey);
+    } catch (error) {
+      // Missing or changed TOTP_ENCRYPTION_KEY, or a damaged secret
+      throw new Error('Two-factor secret cannot be read');
+    }
+
+    return totp.verifyCode(secret, code);
+  }
+
+  /**
+   * Generate backup codes and their hashes
+   *
+   * @returns {Promise<Object>} { codes, hashes }
+   */
+  async generateBackupCodes() {
+    const codes = Array.from({ length: excelConfig.twoFactor.backupCodeCount }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    const hashes = await Promise.all(codes.map(code => hashPassword(code)));
+
+    return { codes, hashes };
+  }
+
+  /**
+   * Whether a username belongs to an admin user
+   *
+   * @param {string} username - Username
+   * @returns {Promise<boolean>} True if the user exists
+   */
+  async userExists(username) {
+    return Boolean(this.findByUsername(await storage.getAll('adminUsers'), username));
+  }
+
+  /**
+   * Get all admin users (without password hashes)
+   *
+   * @returns {Promise<Array>} Users sorted by username
+   */
+  async listUsers() {
+    const users = await storage.getAll('adminUsers');
+
+    return users
+      .map(user => this.toPublicUser(user))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  /**
+   * Get an admin user by ID (without password hash)
+   *
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>} User or null
+   */
+  async getUserById(id) {
+    // Read on every admin request (permission check), so from the cache
+    const user = (await storage.getCached('adminUsers')).find(record => record.id === id);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  /**
+   * Create an admin user
+   *
+   * @param {Object} data - { username, password, role, active }
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Created user
+   */
+  async createUser(data, audit = {}) {
+    const passwordHash = await hashPassword(data.password);
+
+    return await storage.transaction(async (tx) => {
+      if (this.findByUsername(tx.getAll('adminUsers'), data.username)) {
+        throw new Error('A user with this username already exists');
+      }
+
+      const user = {
+        id: generateId('USR'),
+        username: data.username,
+        passwordHash,
+        role: data.role,
+        active: data.active === undefined ? true : data.active === true || data.active === 'true',
+        createdAt: new Date(),
+        lastLoginAt: null,
+        totpEnabled: false
+      };
+
+      tx.insert('adminUsers', user);
+      auditService.record(tx, { ...audit, action: 'user.create', targetId: user.id, after: this.toPublicUser(user) });
+
+      return this.toPublicUser(user);
+    });
+  }
+
+  /**
+   * Update an admin user's role, status or password
+   *
+   * @param {string} id - User ID
+   * @param {Object} updates - { role, active, password }
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Updated user
+   */
+  async updateUser(id, updates, audit = {}) {
+    const passwordHash = updates.password ? await hashPassword(updates.password) : undefined;
+
+    return await storage.transaction(async (tx) => {
+      const existing = tx.find('adminUsers', id);
+
+      if (!existing) {
+        throw new Error('User not found');
+      }
+
+      const changes = { passwordHash };
+      if (updates.role) changes.role = updates.role;
+      if (updates.active !== undefined) changes.active = updates.active === true || updates.active === 'true';
+
+      const remainsSuperadmin = (changes.role || existing.role) === 'superadmin' &&
+        (changes.active === undefined ? existing.active : changes.active);
+
+      if (existing.role === 'superadmin' && existing.active && !remainsSuperadmin) {
+        this.assertOtherSuperadmin(tx, id);
+      }
+
+      const user = this.toPublicUser(tx.update('adminUsers', id, changes));
+
+      // Password hashes stay out of the audit trail; only the fact of a change is kept
+      auditService.record(tx, {
+        ...audit,
+        action: 'user.update',
+        targetId: id,
+        before: this.toPublicUser(existing),
+        after: passwordHash ? { ...user, passwordChanged: true } : user
+      });
+
+      return user;
+    });
+  }
+
+  /**
+   * Delete an admin user
+   *
+   * @param {string} id - User ID
+   * @param {Object} audit - { actor, ipAddress } for the audit trail
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteUser(id, audit = {}) {
+    return await storage.transaction(async (tx) => {
+      const existing = tx.find('adminUsers', id);
+
+      if (!existing) {
+        throw new Error('User not found');
+      }
+
+      if (existing.role === 'superadmin' && existing.active) {
+        this.assertOtherSuperadmin(tx, id);
+      }
+
+      tx.remove('adminUsers', id);
+      auditService.record(tx, { ...audit, action: 'user.delete', targetId: id, before: this.toPublicUser(existing) });
+
+      return {
+        success: true,
+        message: 'User deleted successfully'
+      };
+    });
+  }
+
+  /**
+   * Make sure another active superadmin remains
+   *
+   * @param {Object} tx - Storage session
+   * @param {string} id - User being demoted, deactivated or deleted
+   */
+  assertOtherSuperadmin(tx, id) {
+    const others = tx.getAll('adminUsers').filter(user => {
+      return user.id !== id && user.role === 'superadmin' && user.active;
+    });
+
+    if (others.length === 0) {
+      throw new Error('At least one active superadmin is required');
+    }
+  }
+
+  /**
+   * Get the permissions of a role
+   *
+   * @param {string} role - Role name
+   * @returns {Array<string>} Permissions
+   */
+  getPermissions(role) {
+    return rolesConfig.permissions[role] || [];
+  }
+
+  /**
+   * Find a user by username (case-insensitive)
+   *
+   * @param {Array} users - User records
+   * @param {string} username - Username
+   * @returns {Object|null} User or null
+   */
+  findByUsername(users, username) {
+    if (!username) return null;
+    const normalized = String(username).trim().toLowerCase();
+    return users.find(user => String(user.username).trim().toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Strip the password hash and two-factor secrets from a user record
+   *
+   * @param {Object} user - User record
+   * @returns {Object} User without password hash
+   */
+  toPublicUser(user) {
+    const { passwordHash, totpSecret, totpLastStep, backupCodes, ...publicUser } = user;
+    return {
+      ...publicUser,
+      totpEnabled: Boolean(user.totpEnabled),
+      backupCodesRemaining: user.totpEnabled ? (backupCodes || []).length : 0
+    };
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,203 @@
+const storage = require('../storage');
+const { generateId } = require('../utils/helpers');
+
+// Submission fields kept in each version and restored by a revert
+const VERSIONED_FIELDS = [
+  'bookingDate',
+  'name',
+  'upiNumber',
+  'whatsappNumber',
+  'ayambilShalaName',
+  'city',
+  'status',
+  'shalaId',
+  'email',
+  'reviewFlag',
+  'eventId'
+];
+
+class VersionService {
+  constructor() {
+    this.fields = VERSIONED_FIELDS;
+  }
+
+  /**
+   * Update a submission and store the result as its next version
+   * Must be used for every change to a submission's versioned fields so the history has no gaps
+   *
+   * Version 1 is the submission as it was first stored; it is saved with the first change
+   *
+   * @param {Object} tx - Storage session
+   * @param {Object} before - Submission before the change
+   * @param {Object} changes - Fields to update
+   * @param {Object} context - { actor, action } of the change
+   * @returns {Object} Updated submission
+   */
+  update(tx, before, changes, { actor, action }) {
+    const changed = this.fields.some(field => {
+      return changes[field] !== undefined && !isSameValue(before[field], changes[field]);
+    });
+
+    if (!changed) {
+      return tx.update('submissions', before.id, changes);
+    }
+
+    return this.bump(tx, before, changes, { actor, action });
+  }
+
+  /**
+   * Update a submission and store it as its next version even if no versioned field changed
+   * Used for moves to the trash, which clients holding an ETag must see as a change
+   *
+   * @param {Object} tx - Storage session
+   * @param {Object} before - Submission before the change
+   * @param {Object} changes - Fields to update
+   * @param {Object} context - { actor, action } of the change
+   * @returns {Object} Updated submission
+   */
+  bump(tx, before, changes, { actor, action }) {
+    const current = before.version || 1;
+    const after = tx.update('submissions', before.id, { ...changes, version: current + 1 });
+
+    if (current === 1) {
+      this.insertVersion(tx, before, 1, { actor: null, action: 'create', changedAt: before.submissionDate });
+    }
+
+    this.insertVersion(tx, after, current + 1, { actor: actor || 'system', action });
+
+    return after;
+  }
+
+  /**
+   * Get the versions of a submission, oldest first, with the fields each one changed
+   *
+   * @param {Object} submission - Current submission
+   * @returns {Promise<Array>} Versions
+   */
+  async getVersions(submission) {
+    const stored = (await storage.getAll('submissionVersions'))
+      .filter(version => version.submissionId === submission.id)
+      .sort((a, b) => a.version - b.version);
+
+    // A submission that was never changed has only its original version
+    const versions = stored.length > 0
+      ? stored
+      : [this.buildVersion(submission, 1, { actor: null, action: 'create', changedAt: submission.submissionDate })];
+
+    return versions.map((version, index) => ({
+      version: version.version,
+      changedAt: version.changedAt,
+      changedBy: version.changedBy,
+      action: version.action,
+      current: version.version === (submission.version || 1),
+      changes: index === 0 ? [] : diffSnapshots(versions[index - 1].data, version.data),
+      data: version.data
+    }));
+  }
+
+  /**
+   * Find one stored version of a submission
+   *
+   * @param {Object} tx - Storage session
+   * @param {Object} submission - Current submission
+   * @param {number} versionNumber - Version number
+   * @returns {Object|null} Version, or null if it does not exist
+   */
+  findVersion(tx, submission, versionNumber) {
+    if ((submission.version || 1) === 1 && versionNumber === 1) {
+      return this.buildVersion(submission, 1, { actor: null, action: 'create', changedAt: submission.submissionDate });
+    }
+
+    return tx.getAll('submissionVersions').find(version => {
+      return version.submissionId === submission.id && version.version === versionNumber;
+    }) || null;
+  }
+
+  /**
+   * Remove the history of submissions that are permanently deleted
+   *
+   * @param {Object} tx - Storage session
+   * @param {Array<string>} submissionIds - Submission IDs
+   * @returns {number} Number of versions removed
+   */
+  removeFor(tx, submissionIds) {
+    if (submissionIds.length === 0) return 0;
+
+    return tx.removeWhere('submissionVersions', version => submissionIds.includes(version.submissionId)).length;
+  }
+
+  /**
+   * Store a version of a submission
+   *
+   * @param {Object} tx - Storage session
+   * @param {Object} submission - Submission as of this version
+   * @param {number} versionNumber - Version number
+   * @param {Object} context - { actor, action, changedAt }
+   */
+  insertVersion(tx, submission, versionNumber, context) {
+    tx.insert('submissionVersions', this.buildVersion(submission, versionNumber, context));
+  }
+
+  /**
+   * Build a version record
+   *
+   * @param {Object} submission - Submission as of this version
+   * @param {number} versionNumber - Version number
+   * @param {Object} context - { actor, action, changedAt }
+   * @returns {Object} Version record
+   */
+  buildVersion(submission, versionNumber, { actor, action, changedAt }) {
+    const data = {};
+    this.fields.forEach(field => {
+      data[field] = submission[field] ?? null;
+    });
+
+    return {
+      id: generateId('VER'),
+      submissionId: submission.id,
+      version: versionNumber,
+      changedAt: changedAt || new Date(),
+      changedBy: actor,
+      action,
+      data
+    };
+  }
+}
+
+/**
+ * Compare two field values as they are stored (dates by instant)
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function isSameValue(a, b) {
+  return normalizeValue(a) === normalizeValue(b);
+}
+
+/**
+ * Normalize a field value for comparison
+ *
+ * @param {*} value - Field value
+ * @returns {*} Comparable value
+ */
+function normalizeValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined || value === '') return null;
+  return value;
+}
+
+/**
+ * List the fields that differ between two version snapshots
+ *
+ * @param {Object} previous - Earlier snapshot
+ * @param {Object} current - Later snapshot
+ * @returns {Array} [{ field, from, to }]
+ */
+function diffSnapshots(previous = {}, current = {}) {
+  return VERSIONED_FIELDS
+    .filter(field => !isSameValue(previous[field], current[field]))
+    .map(field => ({ field, from: previous[field] ?? null, to: current[field] ?? null }));
+}
+
+module.exports = new VersionService();
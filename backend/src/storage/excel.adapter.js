@@ -0,0 +1,512 @@
+const ExcelJS = require('exceljs');
+const fs = require('fs').promises;
+const { withFileLock } = require('../middleware/fileLock.middleware');
+
+/**
+ * Convert a record value into an Excel cell value
+ *
+ * @param {Object} column - Column definition
+ * @param {*} value - Record value
+ * @returns {*} Cell value
+ */
+function toCellValue(column, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  switch (column.type) {
+    case 'date':
+      return value instanceof Date ? value : new Date(value);
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value === true || value === 'true';
+    case 'json':
+      return JSON.stringify(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Convert an Excel cell value back into a record value
+ *
+ * @param {Object} column - Column definition
+ * @param {*} value - Cell value
+ * @returns {*} Record value
+ */
+function fromCellValue(column, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  switch (column.type) {
+    case 'date':
+      return value instanceof Date ? value : new Date(value);
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value === true || value === 'true';
+    case 'json':
+      try {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+      } catch {
+        return null;
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Style the header row of a sheet
+ *
+ * @param {Object} worksheet - ExcelJS worksheet
+ */
+function styleHeader(worksheet) {
+  worksheet.getRow(1).font = { bold: true, size: 11 };
+  worksheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFE0E0E0' }
+  };
+  worksheet.getRow(1).alignment = { vertical: 'middle', horizontal: 'center' };
+}
+
+/**
+ * A single locked unit of work on the workbooks
+ * Changes are written to disk once, when the transaction completes, and only
+ * to the workbooks that changed
+ */
+class ExcelSession {
+  constructor(adapter, workbooks) {
+    this.adapter = adapter;
+    this.workbooks = workbooks;
+    this.dirtyFiles = new Set();
+  }
+
+  /**
+   * Mark the workbook of a collection as changed
+   *
+   * @param {Object} collection - Collection definition
+   */
+  markDirty(collection) {
+    this.dirtyFiles.add(collection.file || 'main');
+  }
+
+  /**
+   * Get the worksheet for a collection, creating it if missing
+   *
+   * @param {string} name - Collection name
+   * @returns {Object} ExcelJS worksheet
+   */
+  getSheet(name) {
+    const collection = this.adapter.getCollection(name);
+    const workbook = this.workbooks[collection.file || 'main'];
+    let worksheet = workbook.getWorksheet(collection.sheet);
+
+    if (!worksheet) {
+      worksheet = workbook.addWorksheet(collection.sheet);
+      worksheet.columns = collection.columns;
+      styleHeader(worksheet);
+      this.markDirty(collection);
+      return worksheet;
+    }
+
+    // Add headers for columns introduced after the sheet was created
+    const headerRow = worksheet.getRow(1);
+    collection.columns.forEach((column, index) => {
+      const cell = headerRow.getCell(index + 1);
+      if (!cell.value) {
+        cell.value = column.header;
+        worksheet.getColumn(index + 1).width = column.width;
+        this.markDirty(collection);
+      }
+    });
+
+    return worksheet;
+  }
+
+  /**
+   * Read a row into a record object
+   */
+  readRow(collection, row) {
+    const record = {};
+    collection.columns.forEach((column, index) => {
+      record[column.key] = fromCellValue(column, row.getCell(index + 1).value);
+    });
+    return record;
+  }
+
+  /**
+   * Get all records of a collection in insertion order
+   *
+   * @param {string} name - Collection name
+   * @returns {Array} Records
+   */
+  getAll(name) {
+    const collection = this.adapter.getCollection(name);
+    const worksheet = this.getSheet(name);
+    const records = [];
+
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber > 1) { // Skip header
+        records.push(this.readRow(collection, row));
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Find a record by ID
+   *
+   * @param {string} name - Collection name
+   * @param {string} id - Record ID
+   * @returns {Object|null} Record or null
+   */
+  find(name, id) {
+    return this.getAll(name).find(record => record.id === id) || null;
+  }
+
+  /**
+   * Append a record
+   *
+   * @param {string} name - Collection name
+   * @param {Object} record - Record to insert
+   * @returns {Object} Inserted record
+   */
+  insert(name, record) {
+    const collection = this.adapter.getCollection(name);
+    const worksheet = this.getSheet(name);
+
+    // Add a new row with values in correct column order
+    worksheet.addRow(collection.columns.map(column => toCellValue(column, record[column.key])));
+    this.markDirty(collection);
+
+    return record;
+  }
+
+  /**
+   * Update fields of a record
+   *
+   * @param {string} name - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} updates - Fields to set
+   * @returns {Object|null} Updated record or null if not found
+   */
+  update(name, id, updates) {
+    const collection = this.adapter.getCollection(name);
+    const worksheet = this.getSheet(name);
+    const idCell = collection.columns.findIndex(column => column.key === 'id') + 1;
+    let updatedRecord = null;
+
+    worksheet.eachRow((row, rowNumber) => {
+      if (updatedRecord || rowNumber === 1 || row.getCell(idCell).value !== id) return;
+
+      collection.columns.forEach((column, index) => {
+        if (column.key !== 'id' && updates[column.key] !== undefined) {
+          row.getCell(index + 1).value = toCellValue(column, updates[column.key]);
+        }
+      });
+
+      updatedRecord = this.readRow(collection, row);
+    });
+
+    if (updatedRecord) {
+      this.markDirty(collection);
+    }
+
+    return updatedRecord;
+  }
+
+  /**
+   * Remove all records matching a predicate
+   *
+   * @param {string} name - Collection name
+   * @param {Function} predicate - Receives a record, returns true to remove
+   * @returns {Array} Removed records
+   */
+  removeWhere(name, predicate) {
+    const collection = this.adapter.getCollection(name);
+    const worksheet = this.getSheet(name);
+    const rowsToRemove = [];
+    const removed = [];
+
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const record = this.readRow(collection, row);
+      if (predicate(record)) {
+        rowsToRemove.push(rowNumber);
+        removed.push(record);
+      }
+    });
+
+    // Remove in reverse to maintain indices
+    for (let i = rowsToRemove.length - 1; i >= 0; i--) {
+      worksheet.spliceRows(rowsToRemove[i], 1);
+    }
+
+    if (removed.length > 0) {
+      this.markDirty(collection);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove a record by ID
+   *
+   * @param {string} name - Collection name
+   * @param {string} id - Record ID
+   * @returns {boolean} True if a record was removed
+   */
+  remove(name, id) {
+    return this.removeWhere(name, record => record.id === id).length > 0;
+  }
+
+  /**
+   * Move a collection that an older file kept in the main workbook into its own workbook
+   *
+   * @param {string} name - Collection name
+   */
+  moveFromMainWorkbook(name) {
+    const collection = this.adapter.getCollection(name);
+    const worksheet = this.workbooks.main.getWorksheet(collection.sheet);
+    if (!collection.file || !worksheet) return;
+
+    const records = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber > 1) records.push(this.readRow(collection, row));
+    });
+
+    records.forEach(record => this.insert(name, record));
+    this.workbooks.main.removeWorksheet(worksheet.id);
+    this.dirtyFiles.add('main');
+  }
+
+  /**
+   * Refresh the Summary sheet from the Submissions sheet
+   */
+  updateSummary() {
+    const summarySheet = this.workbooks.main.getWorksheet('Summary');
+    const submissionsSheet = this.workbooks.main.getWorksheet(this.adapter.getCollection('submissions').sheet);
+
+    if (summarySheet && submissionsSheet) {
+      let total = 0;
+      submissionsSheet.eachRow((row, rowNumber) => {
+        if (rowNumber > 1) total++;
+      });
+
+      summarySheet.getRow(2).getCell(2).value = total;
+      summarySheet.getRow(3).getCell(2).value = new Date().toISOString();
+    }
+  }
+}
+
+/**
+ * Storage adapter backed by Excel workbooks (one sheet per collection)
+ *
+ * Bookings live in the main workbook (filePath). Collections marked
+ * file: 'activity' (sessions, login attempts, holds, audit trail) change on
+ * almost every request, so they are kept in a second workbook: writing them
+ * does not rewrite the bookings file, and backups of it stay small.
+ */
+class ExcelAdapter {
+  constructor({ filePath, activityFilePath, collections }) {
+    this.name = 'excel';
+    this.filePath = filePath;
+    this.fileExtension = '.xlsx';
+    this.collections = collections;
+    this.filePaths = { main: filePath, activity: activityFilePath };
+
+    // Collections read with getCached, each valid while its file is unchanged
+    this.cache = new Map();
+  }
+
+  /**
+   * Get collection definition by name
+   *
+   * @param {string} name - Collection name
+   * @returns {Object} Collection definition
+   */
+  getCollection(name) {
+    const collection = this.collections[name];
+    if (!collection) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+    return collection;
+  }
+
+  /**
+   * Initialize Excel file with proper structure
+   * Creates the file if it doesn't exist and adds any missing sheets
+   */
+  async initialize() {
+    try {
+      // Check if file already exists
+      let exists = true;
+      try {
+        await fs.access(this.filePath);
+      } catch {
+        exists = false;
+      }
+
+      if (exists) {
+        await this.initializeActivityFile();
+
+        // Bring older files up to date with the current collections
+        await this.transaction(async (session) => {
+          Object.keys(this.collections).forEach(name => {
+            session.moveFromMainWorkbook(name);
+            session.getSheet(name);
+          });
+        });
+        console.log('✓ Excel file already exists');
+        return;
+      }
+
+      await this.initializeActivityFile();
+
+      const workbook = new ExcelJS.Workbook();
+
+      Object.values(this.collections)
+        .filter(collection => !collection.file)
+        .forEach(collection => {
+          const worksheet = workbook.addWorksheet(collection.sheet);
+          worksheet.columns = collection.columns;
+          styleHeader(worksheet);
+        });
+
+      // Summary sheet (for analytics)
+      const summarySheet = workbook.addWorksheet('Summary');
+      summarySheet.columns = [
+        { header: 'Metric', key: 'metric', width: 30 },
+        { header: 'Value', key: 'value', width: 20 }
+      ];
+
+      summarySheet.addRow({ metric: 'Total Submissions', value: 0 });
+      summarySheet.addRow({ metric: 'Last Updated', value: new Date().toISOString() });
+
+      summarySheet.getRow(1).font = { bold: true };
+
+      // Save file
+      await workbook.xlsx.writeFile(this.filePath);
+      console.log('✓ Excel file initialized successfully at:', this.filePath);
+    } catch (error) {
+      console.error('Error initializing Excel file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the activity workbook if it does not exist yet
+   */
+  async initializeActivityFile() {
+    try {
+      await fs.access(this.filePaths.activity);
+      return;
+    } catch {
+      // Created below
+    }
+
+    const workbook = new ExcelJS.Workbook();
+
+    Object.values(this.collections)
+      .filter(collection => collection.file === 'activity')
+      .forEach(collection => {
+        const worksheet = workbook.addWorksheet(collection.sheet);
+        worksheet.columns = collection.columns;
+        styleHeader(worksheet);
+      });
+
+    await workbook.xlsx.writeFile(this.filePaths.activity);
+  }
+
+  /**
+   * Run an operation against the workbooks while holding the file lock
+   * Each workbook is read once and written once (only if it changed).
+   * One lock, on the main file, covers both workbooks.
+   *
+   * @param {Function} operation - Receives an ExcelSession
+   * @returns {Promise} Result of the operation
+   */
+  async transaction(operation) {
+    return await withFileLock(async () => {
+      const workbooks = {};
+      for (const [file, filePath] of Object.entries(this.filePaths)) {
+        workbooks[file] = new ExcelJS.Workbook();
+        await workbooks[file].xlsx.readFile(filePath);
+      }
+
+      const session = new ExcelSession(this, workbooks);
+      const result = await operation(session);
+
+      if (session.dirtyFiles.has('main')) {
+        session.updateSummary();
+      }
+
+      for (const file of session.dirtyFiles) {
+        await workbooks[file].xlsx.writeFile(this.filePaths[file]);
+      }
+
+      if (session.dirtyFiles.size > 0) {
+        this.cache.clear();
+      }
+
+      return result;
+    }, this.filePath);
+  }
+
+  /**
+   * Get all records of a collection
+   *
+   * @param {string} name - Collection name
+   * @returns {Promise<Array>} Records
+   */
+  async getAll(name) {
+    return await this.transaction(async (session) => session.getAll(name));
+  }
+
+  /**
+   * Get all records of a collection from memory when the file has not changed
+   * For data read on every request (admin users, revoked tokens): a cache hit
+   * needs no file lock. Callers must not modify the returned records.
+   *
+   * @param {string} name - Collection name
+   * @returns {Promise<Array>} Records
+   */
+  async getCached(name) {
+    // Also catches changes made to the file outside this process
+    const { mtimeMs } = await fs.stat(this.filePaths[this.getCollection(name).file || 'main']);
+    const cached = this.cache.get(name);
+
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.records;
+    }
+
+    const records = await this.getAll(name);
+    this.cache.set(name, { mtimeMs, records });
+
+    return records;
+  }
+
+  /**
+   * Copy the bookings workbook to a backup location
+   * The activity workbook is not part of backups
+   *
+   * @param {string} destinationPath - Backup file path
+   */
+  async copyTo(destinationPath) {
+    await fs.copyFile(this.filePath, destinationPath);
+  }
+
+  /**
+   * Replace the bookings workbook with a backup copy
+   *
+   * @param {string} sourcePath - Backup file path
+   */
+  async replaceWith(sourcePath) {
+    await fs.copyFile(sourcePath, this.filePath);
+    this.cache.clear();
+  }
+}
+
+module.exports = ExcelAdapter;
@@ -0,0 +1,40 @@
+const excelConfig = require('../config/excel.config');
+const storageConfig = require('../config/storage.config');
+const ExcelAdapter = require('./excel.adapter');
+
+/**
+ * Create the storage adapter selected in config
+ *
+ * Every adapter exposes the same interface:
+ * - initialize()            Create the data file(s) / schema
+ * - transaction(operation)  Run operation(session) atomically under the file lock
+ * - getAll(name)            Read all records of a collection
+ * - getCached(name)         Read all records without the lock when nothing changed (read-only)
+ * - copyTo(path) / replaceWith(path)  Backup and restore the data file
+ *
+ * A session exposes getAll, find, insert, update, remove and removeWhere.
+ *
+ * @returns {Object} Storage adapter
+ */
+function createStorage() {
+  switch (storageConfig.backend) {
+    case 'excel':
+      return new ExcelAdapter({
+        filePath: excelConfig.excelFilePath,
+        activityFilePath: excelConfig.activityFilePath,
+        collections: storageConfig.collections
+      });
+    case 'sqlite': {
+      // Loaded lazily so the native module is only required when used
+      const SqliteAdapter = require('./sqlite.adapter');
+      return new SqliteAdapter({
+        filePath: storageConfig.sqliteFilePath,
+        collections: storageConfig.collections
+      });
+    }
+    default:
+      throw new Error(`Unknown storage backend: ${storageConfig.backend}`);
+  }
+}
+
+module.exports = createStorage();
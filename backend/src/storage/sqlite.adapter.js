@@ -0,0 +1,341 @@
+const Database = require('better-sqlite3');
+const fs = require('fs').promises;
+const { withFileLock } = require('../middleware/fileLock.middleware');
+
+/**
+ * Get the SQLite column type for a column definition
+ *
+ * @param {Object} column - Column definition
+ * @returns {string} SQLite type
+ */
+function sqlType(column) {
+  if (column.key === 'id') return 'TEXT PRIMARY KEY';
+  if (column.type === 'number') return 'REAL';
+  if (column.type === 'boolean') return 'INTEGER';
+  return 'TEXT';
+}
+
+/**
+ * Convert a record value into a SQLite value
+ *
+ * @param {Object} column - Column definition
+ * @param {*} value - Record value
+ * @returns {*} SQLite value
+ */
+function toSqlValue(column, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  switch (column.type) {
+    case 'date':
+      return (value instanceof Date ? value : new Date(value)).toISOString();
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value === true || value === 'true' ? 1 : 0;
+    case 'json':
+      return JSON.stringify(value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Convert a SQLite value back into a record value
+ *
+ * @param {Object} column - Column definition
+ * @param {*} value - SQLite value
+ * @returns {*} Record value
+ */
+function fromSqlValue(column, value) {
+  if (value === undefined || value === null) return null;
+
+  switch (column.type) {
+    case 'date':
+      return new Date(value);
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value === 1;
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch {
+        return null;
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Quote an identifier for use in SQL
+ */
+function quote(identifier) {
+  return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+/**
+ * A single locked unit of work inside a SQLite transaction
+ */
+class SqliteSession {
+  constructor(adapter, db) {
+    this.adapter = adapter;
+    this.db = db;
+  }
+
+  /**
+   * Read a row into a record object
+   */
+  readRow(collection, row) {
+    const record = {};
+    collection.columns.forEach(column => {
+      record[column.key] = fromSqlValue(column, row[column.key]);
+    });
+    return record;
+  }
+
+  /**
+   * Get all records of a collection in insertion order
+   *
+   * @param {string} name - Collection name
+   * @returns {Array} Records
+   */
+  getAll(name) {
+    const collection = this.adapter.getCollection(name);
+    const rows = this.db.prepare(`SELECT * FROM ${quote(collection.table)} ORDER BY rowid`).all();
+    return rows.map(row => this.readRow(collection, row));
+  }
+
+  /**
+   * Find a record by ID
+   *
+   * @param {string} name - Collection name
+   * @param {string} id - Record ID
+   * @returns {Object|null} Record or null
+   */
+  find(name, id) {
+    const collection = this.adapter.getCollection(name);
+    const row = this.db.prepare(`SELECT * FROM ${quote(collection.table)} WHERE id = ?`).get(id);
+    return row ? this.readRow(collection, row) : null;
+  }
+
+  /**
+   * Append a record
+   *
+   * @param {string} name - Collection name
+   * @param {Object} record - Record to insert
+   * @returns {Object} Inserted record
+   */
+  insert(name, record) {
+    const collection = this.adapter.getCollection(name);
+    const keys = collection.columns.map(column => quote(column.key));
+    const placeholders = collection.columns.map(() => '?');
+
+    this.db
+      .prepare(`INSERT INTO ${quote(collection.table)} (${keys.join(', ')}) VALUES (${placeholders.join(', ')})`)
+      .run(...collection.columns.map(column => toSqlValue(column, record[column.key])));
+
+    return record;
+  }
+
+  /**
+   * Update fields of a record
+   *
+   * @param {string} name - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} updates - Fields to set
+   * @returns {Object|null} Updated record or null if not found
+   */
+  update(name, id, updates) {
+    const collection = this.adapter.getCollection(name);
+    const columns = collection.columns.filter(column => column.key !== 'id' && updates[column.key] !== undefined);
+
+    if (columns.length > 0) {
+      const assignments = columns.map(column => `${quote(column.key)} = ?`);
+      this.db
+        .prepare(`UPDATE ${quote(collection.table)} SET ${assignments.join(', ')} WHERE id = ?`)
+        .run(...columns.map(column => toSqlValue(column, updates[column.key])), id);
+    }
+
+    return this.find(name, id);
+  }
+
+  /**
+   * Remove all records matching a predicate
+   *
+   * @param {string} name - Collection name
+   * @param {Function} predicate - Receives a record, returns true to remove
+   * @returns {Array} Removed records
+   */
+  removeWhere(name, predicate) {
+    const collection = this.adapter.getCollection(name);
+    const removed = this.getAll(name).filter(predicate);
+    const statement = this.db.prepare(`DELETE FROM ${quote(collection.table)} WHERE id = ?`);
+
+    removed.forEach(record => statement.run(record.id));
+
+    return removed;
+  }
+
+  /**
+   * Remove a record by ID
+   *
+   * @param {string} name - Collection name
+   * @param {string} id - Record ID
+   * @returns {boolean} True if a record was removed
+   */
+  remove(name, id) {
+    const collection = this.adapter.getCollection(name);
+    const result = this.db.prepare(`DELETE FROM ${quote(collection.table)} WHERE id = ?`).run(id);
+    return result.changes > 0;
+  }
+}
+
+/**
+ * Storage adapter backed by an embedded SQLite database (one table per collection)
+ */
+class SqliteAdapter {
+  constructor({ filePath, collections }) {
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    this.fileExtension = '.sqlite';
+    this.collections = collections;
+    this.db = null;
+    this.readDb = null;
+  }
+
+  /**
+   * Get collection definition by name
+   *
+   * @param {string} name - Collection name
+   * @returns {Object} Collection definition
+   */
+  getCollection(name) {
+    const collection = this.collections[name];
+    if (!collection) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+    return collection;
+  }
+
+  /**
+   * Open the database (creating tables and missing columns on first use)
+   *
+   * @returns {Object} better-sqlite3 database
+   */
+  getDatabase() {
+    if (this.db) return this.db;
+
+    this.db = new Database(this.filePath);
+
+    Object.values(this.collections).forEach(collection => {
+      const columns = collection.columns.map(column => `${quote(column.key)} ${sqlType(column)}`);
+      this.db.exec(`CREATE TABLE IF NOT EXISTS ${quote(collection.table)} (${columns.join(', ')})`);
+
+      // Add columns introduced after the table was created
+      const existing = this.db.prepare(`PRAGMA table_info(${quote(collection.table)})`).all().map(c => c.name);
+      collection.columns
+        .filter(column => !existing.includes(column.key))
+        .forEach(column => {
+          this.db.exec(`ALTER TABLE ${quote(collection.table)} ADD COLUMN ${quote(column.key)} ${sqlType(column)}`);
+        });
+    });
+
+    return this.db;
+  }
+
+  /**
+   * Initialize the database file and schema
+   */
+  async initialize() {
+    try {
+      this.getDatabase();
+      console.log('✓ SQLite database ready at:', this.filePath);
+    } catch (error) {
+      console.error('Error initializing SQLite database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run an operation inside a SQLite transaction while holding the file lock
+   * Changes are rolled back if the operation throws
+   *
+   * @param {Function} operation - Receives a SqliteSession
+   * @returns {Promise} Result of the operation
+   */
+  async transaction(operation) {
+    const db = this.getDatabase();
+
+    return await withFileLock(async () => {
+      db.exec('BEGIN IMMEDIATE');
+
+      try {
+        const result = await operation(new SqliteSession(this, db));
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    }, this.filePath);
+  }
+
+  /**
+   * Get all records of a collection
+   *
+   * @param {string} name - Collection name
+   * @returns {Promise<Array>} Records
+   */
+  async getAll(name) {
+    return await this.transaction(async (session) => session.getAll(name));
+  }
+
+  /**
+   * Get all records of a collection without taking the file lock
+   * Uses a separate read-only connection, so uncommitted changes of a running
+   * transaction are never seen
+   *
+   * @param {string} name - Collection name
+   * @returns {Promise<Array>} Records
+   */
+  async getCached(name) {
+    this.getDatabase();
+
+    if (!this.readDb) {
+      this.readDb = new Database(this.filePath, { readonly: true });
+    }
+
+    return new SqliteSession(this, this.readDb).getAll(name);
+  }
+
+  /**
+   * Copy the database to a backup location
+   *
+   * @param {string} destinationPath - Backup file path
+   */
+  async copyTo(destinationPath) {
+    await this.getDatabase().backup(destinationPath);
+  }
+
+  /**
+   * Replace the database with a backup copy
+   *
+   * @param {string} sourcePath - Backup file path
+   */
+  async replaceWith(sourcePath) {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+
+    if (this.readDb) {
+      this.readDb.close();
+      this.readDb = null;
+    }
+
+    await fs.copyFile(sourcePath, this.filePath);
+  }
+}
+
+module.exports = SqliteAdapter;
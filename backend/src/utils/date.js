@@ -0,0 +1,198 @@
+const excelConfig = require('../config/excel.config');
+
+/**
+ * Calendar-day helpers for booking dates
+ *
+ * A booking is for a calendar day in the event time zone (EVENT_TIMEZONE),
+ * identified by a YYYY-MM-DD day key. Booking dates are stored as UTC midnight
+ * of that day, so the stored value shows the same date in the Excel file.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_PREFIX = /^(\d{4}-\d{2}-\d{2})(?:T|$)/;
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter for the calendar day and hour in a time zone
+ *
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Get the calendar day and hour of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { key, hour }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return { key: `${parts.year}-${parts.month}-${parts.day}`, hour: parseInt(parts.hour) };
+}
+
+/**
+ * Whether a YYYY-MM-DD string is a real calendar day
+ * (new Date() rolls 2026-11-31 over to 2026-12-01 instead of rejecting it)
+ *
+ * @param {string} key - Day key
+ * @returns {boolean} True if the day exists
+ */
+function isValidDateKey(key) {
+  if (!DATE_ONLY.test(key)) return false;
+  const date = fromDateKey(key);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === key;
+}
+
+/**
+ * Get the day key of a date
+ * - 'YYYY-MM-DD' strings are already day keys
+ * - Dates at exactly UTC midnight are stored booking dates and keep their UTC day
+ * - Any other instant falls on its calendar day in the event time zone
+ * - Strings naming a day that does not exist (2026-11-31) are invalid
+ *
+ * @param {Date|string} value - Date, ISO string or day key
+ * @param {string} timeZone - IANA time zone (defaults to the event time zone)
+ * @returns {string|null} YYYY-MM-DD day key, or null for invalid dates
+ */
+function toDateKey(value, timeZone = excelConfig.eventTimeZone) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value === 'string') {
+    const prefix = DATE_PREFIX.exec(value);
+    if (prefix && !isValidDateKey(prefix[1])) return null;
+    if (DATE_ONLY.test(value)) return value;
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date)) return null;
+
+  if (date.getTime() % DAY_MS === 0) {
+    return date.toISOString().split('T')[0];
+  }
+
+  return getZonedParts(date, timeZone).key;
+}
+
+/**
+ * Get the calendar day of an instant in the event time zone
+ * Use for timestamps such as submission times; defaults to today
+ *
+ * @param {Date|string} date - Instant (defaults to now)
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} YYYY-MM-DD day key
+ */
+function getEventDateKey(date = new Date(), timeZone = excelConfig.eventTimeZone) {
+  return getZonedParts(date instanceof Date ? date : new Date(date), timeZone).key;
+}
+
+/**
+ * Get the hour (0-23) of an instant in the event time zone
+ *
+ * @param {Date} date - Instant (defaults to now)
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Hour of the day
+ */
+function getEventHour(date = new Date(), timeZone = excelConfig.eventTimeZone) {
+  return getZonedParts(date, timeZone).hour;
+}
+
+/**
+ * Get the stored value of a booking date (UTC midnight of its day)
+ *
+ * @param {Date|string} value - Date, ISO string or day key
+ * @returns {Date|null} Booking date, or null for invalid dates
+ */
+function toBookingDate(value) {
+  const key = toDateKey(value);
+  return key ? fromDateKey(key) : null;
+}
+
+/**
+ * Get the stored value of a day key (UTC midnight)
+ *
+ * @param {string} key - YYYY-MM-DD day key
+ * @returns {Date} Date
+ */
+function fromDateKey(key) {
+  return new Date(`${key}T00:00:00.000Z`);
+}
+
+/**
+ * Move a day key by a number of days
+ *
+ * @param {string} key - YYYY-MM-DD day key
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} YYYY-MM-DD day key
+ */
+function addDays(key, days) {
+  return new Date(fromDateKey(key).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Number of days from one day key to another
+ *
+ * @param {string} fromKey - YYYY-MM-DD day key
+ * @param {string} toKey - YYYY-MM-DD day key
+ * @returns {number} Days (negative if toKey is earlier)
+ */
+function daysBetween(fromKey, toKey) {
+  return Math.round((fromDateKey(toKey) - fromDateKey(fromKey)) / DAY_MS);
+}
+
+/**
+ * List every day key from start to end (inclusive)
+ *
+ * @param {string} startKey - YYYY-MM-DD day key
+ * @param {string} endKey - YYYY-MM-DD day key
+ * @param {number} maxDays - Stop after this many days
+ * @returns {Array<string>} Day keys
+ */
+function eachDateKey(startKey, endKey, maxDays = Infinity) {
+  const keys = [];
+  for (let key = startKey; key <= endKey && keys.length < maxDays; key = addDays(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Day of the week of a day key
+ *
+ * @param {string} key - YYYY-MM-DD day key
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+function getDayOfWeek(key) {
+  return fromDateKey(key).getUTCDay();
+}
+
+module.exports = {
+  isValidDateKey,
+  toDateKey,
+  getEventDateKey,
+  getEventHour,
+  toBookingDate,
+  fromDateKey,
+  addDays,
+  daysBetween,
+  eachDateKey,
+  getDayOfWeek
+};
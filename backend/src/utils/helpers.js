@@ -1,5 +1,18 @@
 const crypto = require('crypto');
 
+/**
+ * Generate unique record ID
+ * Format: {prefix}-{timestamp}-{random}
+ *
+ * @param {string} prefix - ID prefix
+ * @returns {string} Unique ID
+ */
+function generateId(prefix) {
+  const timestamp = Date.now();
+  const random = crypto.randomBytes(4).toString('hex').toUpperCase();
+  return `${prefix}-${timestamp}-${random}`;
+}
+
 /**
  * Generate unique submission ID
  * Format: VRT-{timestamp}-{random}
@@ -7,9 +20,7 @@ const crypto = require('crypto');
  * @returns {string} Unique submission ID
  */
 function generateSubmissionId() {
-  const timestamp = Date.now();
-  const random = crypto.randomBytes(4).toString('hex').toUpperCase();
-  return `VRT-${timestamp}-${random}`;
+  return generateId('VRT');
 }
 
 /**
@@ -69,17 +80,73 @@ function isValidEmail(email) {
 
 /**
  * Get client IP address from request
+ * X-Forwarded-For is only used when it comes from a trusted proxy (TRUST_PROXY),
+ * so clients cannot pick their own address
  *
  * @param {Object} req - Express request object
  * @returns {string} IP address
  */
 function getClientIp(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0] ||
-         req.connection?.remoteAddress ||
+  return req.ip ||
          req.socket?.remoteAddress ||
          'unknown';
 }
 
+/**
+ * Parse the TRUST_PROXY setting for Express "trust proxy"
+ * - empty or "false": trust no proxy (use the connection address)
+ * - a number: trust that many proxy hops
+ * - otherwise: comma-separated proxy addresses or subnets (e.g. "loopback, 10.0.0.0/8")
+ *
+ * @param {string} value - Setting
+ * @returns {boolean|number|Array<string>} Express trust proxy value
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Get who is making an admin request, for the audit trail
+ *
+ * @param {Object} req - Express request object (after authenticateToken)
+ * @returns {Object} { actor, ipAddress }
+ */
+function getAuditContext(req) {
+  return {
+    actor: req.user ? `admin:${req.user.username}` : 'system',
+    ipAddress: getClientIp(req)
+  };
+}
+
+/**
+ * Get the ETag of a submission, derived from its version number
+ *
+ * @param {Object} submission - Submission record
+ * @returns {string} Quoted ETag
+ */
+function getSubmissionEtag(submission) {
+  return `"v${submission.version || 1}"`;
+}
+
+/**
+ * Read the submission versions a client expects from its If-Match header
+ *
+ * @param {Object} req - Express request object
+ * @returns {Array<number>|null} Accepted versions, or null if any version is accepted
+ */
+function getExpectedVersions(req) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return null;
+
+  // Tags that are not ours never match, so a stale or foreign ETag is rejected
+  return header.split(',')
+    .map(tag => /^"v(\d+)"$/.exec(tag.trim()))
+    .filter(Boolean)
+    .map(match => parseInt(match[1]));
+}
+
 /**
  * Pagination helper
  *
@@ -107,11 +174,16 @@ function paginate(items, page = 1, limit = 50) {
 }
 
 module.exports = {
+  generateId,
   generateSubmissionId,
   formatDate,
   sanitizeInput,
   isValidMobile,
   isValidEmail,
   getClientIp,
+  parseTrustProxy,
+  getAuditContext,
+  getSubmissionEtag,
+  getExpectedVersions,
   paginate
 };
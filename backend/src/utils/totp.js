@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) for admin two-factor login
+ *
+ * Codes are 6 digits from HMAC-SHA1 over 30-second time steps, which is what
+ * Google Authenticator, Authy and similar apps generate by default.
+ */
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ *
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (spaces, padding and case are ignored)
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Bytes
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random secret
+ *
+ * @returns {string} Base32 secret (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the time step of an instant
+ *
+ * @param {Date} date - Instant
+ * @returns {number} Time step counter
+ */
+function getTimeStep(date = new Date()) {
+  return Math.floor(date.getTime() / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generate the code for a time step (HOTP, RFC 4226)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a code, allowing one step of clock drift either way
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Date} date - Current time
+ * @returns {number|null} Matching time step, or null if the code is wrong
+ */
+function verifyCode(secret, code, date = new Date()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getTimeStep(date);
+
+  for (const step of [current - 1, current, current + 1]) {
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (username)
+ * @param {string} issuer - Issuer shown in the app
+ * @returns {string} Provisioning URI
+ */
+function buildOtpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    'algorithm=SHA1',
+    `digits=${DIGITS}`,
+    `period=${STEP_SECONDS}`
+  ];
+
+  return `otpauth://totp/${label}?${params.join('&')}`;
+}
+
+/**
+ * Derive the 256-bit key for stored secrets
+ *
+ * @param {string} key - Key material (TOTP_ENCRYPTION_KEY)
+ * @returns {Buffer} AES key
+ */
+function deriveKey(key) {
+  if (!key) {
+    throw new Error('No key configured for two-factor secrets');
+  }
+
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} key - Key material
+ * @returns {string} enc:v1:<iv>:<tag>:<ciphertext>, base64 parts
+ */
+function encryptSecret(secret, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(key), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored secret
+ * Secrets stored before encryption was added are returned as they are
+ *
+ * @param {string} stored - Stored secret
+ * @param {string} key - Key material
+ * @returns {string} Base32 secret
+ */
+function decryptSecret(stored, key) {
+  if (!String(stored).startsWith(ENCRYPTED_PREFIX)) return stored;
+
+  const [iv, tag, encrypted] = stored.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(key), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,145 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each run books against its own SQLite file, away from the data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vrt-booking-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_FILE_PATH = path.join(dataDir, 'submissions.sqlite');
+
+const excelConfig = require('../src/config/excel.config');
+excelConfig.backupDir = path.join(dataDir, 'backups');
+
+const excelService = require('../src/services/excel.service');
+const submissionController = require('../src/controllers/submission.controller');
+const { addDays, getEventDateKey } = require('../src/utils/date');
+
+const capacity = excelConfig.maxBookingsPerDay;
+let phone = 9000000000;
+
+/**
+ * Book one day with a number that has not booked before
+ */
+function book(bookingDate, extra = {}) {
+  phone += 1;
+
+  return excelService.addSubmission({
+    bookingDate,
+    name: 'Test Tapasvi',
+    upiNumber: String(phone),
+    whatsappNumber: String(phone),
+    ayambilShalaName: 'Test Shala',
+    city: 'Surat',
+    ...extra
+  });
+}
+
+/**
+ * Call a controller with the parts of the request and response it uses
+ */
+async function callController(handler, { params = {}, body = {}, headers = {} }) {
+  const req = {
+    params,
+    body,
+    ip: '127.0.0.1',
+    user: { username: 'tester' },
+    get: name => headers[name.toLowerCase()]
+  };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+
+  await handler(req, res);
+  return res;
+}
+
+before(async () => {
+  await excelService.initializeFile();
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a full day refuses bookings, takes a waitlist and promotes the first waiter when a seat frees up', async () => {
+  const day = addDays(getEventDateKey(), 30);
+  const booked = [];
+
+  for (let i = 0; i < capacity; i++) {
+    booked.push(await book(day));
+  }
+  assert.ok(booked.every(result => result.success && !result.waitlisted));
+
+  const refused = await book(day);
+  assert.equal(refused.success, false);
+  assert.equal(refused.canWaitlist, true);
+
+  const first = await book(day, { waitlist: true });
+  const second = await book(day, { waitlist: true });
+  assert.equal(first.waitlisted, true);
+  assert.equal(first.waitlistPosition, 1);
+  assert.equal(second.waitlistPosition, 2);
+
+  const deleted = await excelService.deleteSubmission(booked[0].id);
+  assert.deepEqual(deleted.promotedFromWaitlist, [first.id]);
+
+  assert.equal((await excelService.getSubmissionById(first.id)).status, 'pending');
+  assert.equal((await excelService.getSubmissionById(second.id)).status, 'waitlisted');
+  assert.equal(await excelService.getBookingCountForDate(day), capacity);
+});
+
+test('an update based on a stale version answers 412 with the current submission', async () => {
+  const { id } = await book(addDays(getEventDateKey(), 31));
+
+  const updated = await callController(submissionController.updateSubmission, {
+    params: { id },
+    body: { city: 'Rajkot' },
+    headers: { 'if-match': '"v1"' }
+  });
+  assert.equal(updated.statusCode, 200);
+  assert.equal(updated.headers.etag, '"v2"');
+
+  const stale = await callController(submissionController.updateSubmission, {
+    params: { id },
+    body: { city: 'Ahmedabad' },
+    headers: { 'if-match': '"v1"' }
+  });
+  assert.equal(stale.statusCode, 412);
+  assert.equal(stale.headers.etag, '"v2"');
+  assert.equal(stale.body.data.city, 'Rajkot');
+  assert.equal((await excelService.getSubmissionById(id)).city, 'Rajkot');
+});
+
+test('a bulk status change reports each item and stops giving seats back once the day is full', async () => {
+  const day = addDays(getEventDateKey(), 32);
+  const booked = [];
+
+  for (let i = 0; i < capacity; i++) {
+    booked.push(await book(day));
+  }
+
+  // Two cancellations free two seats; a new booking takes one of them
+  const cancelled = booked.slice(0, 2).map(result => result.id);
+  for (const id of cancelled) {
+    await excelService.updateSubmission(id, { status: 'cancelled' });
+  }
+  assert.equal((await book(day)).success, true);
+
+  const result = await excelService.bulkUpdateStatus({ ids: [...cancelled, 'VRT-missing'] }, 'pending');
+
+  assert.deepEqual(result.summary, { total: 3, succeeded: 1, failed: 2 });
+  assert.deepEqual(result.results.map(item => [item.id, item.success]), [
+    [cancelled[0], true],
+    [cancelled[1], false],
+    ['VRT-missing', false]
+  ]);
+  assert.match(result.results[1].message, /fully booked/);
+  assert.equal(result.results[2].message, 'Submission not found');
+  assert.equal(await excelService.getBookingCountForDate(day), capacity);
+});
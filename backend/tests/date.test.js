@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toDateKey, getEventDateKey, isValidDateKey, toBookingDate } = require('../src/utils/date');
+const excelService = require('../src/services/excel.service');
+
+const TIME_ZONE = 'Asia/Kolkata'; // UTC+05:30
+
+test('toDateKey puts instants on their calendar day in the event time zone', () => {
+  // 23:59 and 00:00 in Kolkata are 18:29 and 18:30 UTC
+  assert.equal(toDateKey(new Date('2026-11-30T18:29:59.999Z'), TIME_ZONE), '2026-11-30');
+  assert.equal(toDateKey(new Date('2026-11-30T18:30:00.000Z'), TIME_ZONE), '2026-12-01');
+  assert.equal(toDateKey('2026-11-30T23:59:00+05:30', TIME_ZONE), '2026-11-30');
+  assert.equal(toDateKey('2026-12-01T00:00:00+05:30', TIME_ZONE), '2026-12-01');
+});
+
+test('toDateKey keeps day keys and stored booking dates (UTC midnight) on their own day', () => {
+  assert.equal(toDateKey('2026-12-01', TIME_ZONE), '2026-12-01');
+  assert.equal(toDateKey(new Date('2026-12-01T00:00:00.000Z'), TIME_ZONE), '2026-12-01');
+  assert.equal(toDateKey(toBookingDate('2026-12-01'), 'America/New_York'), '2026-12-01');
+});
+
+test('getEventDateKey changes day at midnight in the event time zone', () => {
+  assert.equal(getEventDateKey(new Date('2026-12-31T18:29:59.999Z'), TIME_ZONE), '2026-12-31');
+  assert.equal(getEventDateKey(new Date('2026-12-31T18:30:00.000Z'), TIME_ZONE), '2027-01-01');
+  // A UTC midnight instant is still an instant here, not a stored booking date
+  assert.equal(getEventDateKey(new Date('2026-12-01T00:00:00.000Z'), 'America/New_York'), '2026-11-30');
+});
+
+test('days that do not exist are rejected instead of rolling over', () => {
+  assert.equal(isValidDateKey('2026-11-31'), false);
+  assert.equal(isValidDateKey('2026-02-29'), false);
+  assert.equal(isValidDateKey('2028-02-29'), true);
+  assert.equal(isValidDateKey('2026-13-01'), false);
+
+  assert.equal(toDateKey('2026-11-31'), null);
+  assert.equal(toDateKey('2026-11-31T10:00:00Z'), null);
+  assert.equal(toBookingDate('2026-02-30'), null);
+});
+
+test('a non-existent day cannot be booked in place of a fully booked one', () => {
+  const year = Number(getEventDateKey().slice(0, 4)) + 1;
+  const fullDay = `${year}-12-01`;
+  const booking = id => ({ id, bookingDate: toBookingDate(fullDay), status: 'pending', shalaId: null });
+
+  const snapshot = {
+    submissions: [booking('a'), booking('b'), booking('c')],
+    calendar: [],
+    shalas: [],
+    events: [],
+    holds: []
+  };
+
+  const full = excelService.checkBookingDate(snapshot, fullDay);
+  assert.equal(full.valid, false);
+  assert.equal(full.fullyBooked, true);
+
+  const rolledOver = excelService.checkBookingDate(snapshot, `${year}-11-31`);
+  assert.equal(rolledOver.valid, false);
+  assert.equal(rolledOver.reason, 'invalid');
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each run imports into its own SQLite file, away from the data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vrt-import-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_FILE_PATH = path.join(dataDir, 'submissions.sqlite');
+
+const excelConfig = require('../src/config/excel.config');
+const excelService = require('../src/services/excel.service');
+const importService = require('../src/services/import.service');
+const { addDays, getEventDateKey } = require('../src/utils/date');
+
+const capacity = excelConfig.maxBookingsPerDay;
+
+/**
+ * Build a CSV upload with one row per booking, each from its own number
+ */
+function csvFile(bookingDate, rowCount, firstPhone) {
+  const rows = Array.from({ length: rowCount }, (_, i) => {
+    const phone = firstPhone + i;
+    return `${bookingDate},Import Tapasvi,${phone},${phone},Test Shala,Surat`;
+  });
+
+  return {
+    originalname: 'bookings.csv',
+    buffer: Buffer.from(['bookingDate,name,upiNumber,whatsappNumber,ayambilShalaName,city', ...rows].join('\n'))
+  };
+}
+
+before(async () => {
+  await excelService.initializeFile();
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('an import dry run checks each row against the seats left and stores nothing', async () => {
+  const day = addDays(getEventDateKey(), 30);
+
+  for (let i = 0; i < capacity - 1; i++) {
+    const phone = String(9100000000 + i);
+    await excelService.addSubmission({
+      bookingDate: day,
+      name: 'Test Tapasvi',
+      upiNumber: phone,
+      whatsappNumber: phone,
+      ayambilShalaName: 'Test Shala',
+      city: 'Surat'
+    });
+  }
+
+  const report = await importService.importSubmissions(csvFile(day, 3, 9200000000), { dryRun: true });
+
+  assert.equal(report.dryRun, true);
+  assert.deepEqual(report.summary, { totalRows: 3, valid: 1, failed: 2 });
+  assert.deepEqual(report.rows.map(row => [row.row, row.success]), [[2, true], [3, false], [4, false]]);
+  assert.equal(report.rows[0].id, undefined);
+  assert.match(report.rows[1].errors[0].message, /fully booked/);
+
+  assert.equal(await excelService.getBookingCountForDate(day), capacity - 1);
+});
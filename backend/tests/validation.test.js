@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validationResult } = require('express-validator');
+const { bulkSelectionValidationRules } = require('../src/middleware/validation.middleware');
+
+/**
+ * Run a rule set against a request body and return the error messages
+ */
+async function validateBody(rules, body) {
+  const req = { body, query: {}, params: {} };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+  return validationResult(req).array().map(error => error.msg);
+}
+
+test('a bulk selection can be a booking date range alone', async () => {
+  assert.deepEqual(await validateBody(bulkSelectionValidationRules, { filter: { from: '2030-01-01', to: '2030-01-31' } }), []);
+  assert.deepEqual(await validateBody(bulkSelectionValidationRules, { filter: { from: '2030-01-01' } }), []);
+});
+
+test('a bulk selection needs either ids or a filter field, and range ends must be dates', async () => {
+  assert.deepEqual(
+    await validateBody(bulkSelectionValidationRules, { filter: {} }),
+    ['Provide either ids or a filter with at least one field']
+  );
+  assert.deepEqual(
+    await validateBody(bulkSelectionValidationRules, { filter: { to: '2030-02-30' } }),
+    ['Enter valid filter date']
+  );
+});